@@ -0,0 +1,69 @@
+import React from "react";
+
+const FIELD_LABELS = {
+  title: "Title",
+  priority: "Priority",
+  status: "Status",
+  due: "Due date",
+  estimate: "Estimate",
+  recurrence: "Repeat",
+  checklist: "Checklist",
+  checklistItem: "Checklist item",
+  notes: "Notes",
+  tags: "Tags",
+  project: "Project",
+  blockedBy: "Blocked by",
+};
+
+export function formatDuration(ms) {
+  const mins = Math.round(ms / 60000);
+  if (mins < 60) return `${mins}m`;
+  const hours = Math.floor(mins / 60);
+  if (hours < 24) return `${hours}h ${mins % 60}m`;
+  const days = Math.floor(hours / 24);
+  return `${days}d ${hours % 24}h`;
+}
+
+// Newest-first timeline of a task's activity log. Status changes also show
+// how long the task sat in its previous status.
+export default function ActivityTimeline({ activity, projects = [] }) {
+  const show = (field, v) => {
+    if (v === null || v === undefined) return "none";
+    if (field === "project") return projects.find((p) => p.id === v)?.name || "deleted project";
+    return v;
+  };
+
+  let statusSince = null;
+  const rows = activity.map((a) => {
+    let detail = null;
+    if (a.field === "created") statusSince = a.at;
+    if (a.field === "status") {
+      if (statusSince) detail = `after ${formatDuration(new Date(a.at) - new Date(statusSince))} in ${a.from}`;
+      statusSince = a.at;
+    }
+    return { ...a, detail };
+  }).reverse();
+
+  return (
+    <div>
+      <label className="mb-1 block text-xs font-medium">Activity</label>
+      <ol className="relative grid gap-2 border-l pl-4 text-xs">
+        {rows.map((a, i) => (
+          <li key={i} className="relative">
+            <span className="absolute -left-[1.3rem] top-1 h-2 w-2 rounded-full bg-slate-300" />
+            <div className="text-slate-400">{new Date(a.at).toLocaleString()}</div>
+            <div className="text-slate-700">
+              {a.field === "created" ? "Created" : (
+                <>
+                  <span className="font-medium">{FIELD_LABELS[a.field] || a.field}</span>
+                  {a.field === "notes" ? ` ${a.to === "cleared" ? "cleared" : "edited"}` : <>: {show(a.field, a.from)} → {show(a.field, a.to)}</>}
+                </>
+              )}
+              {a.detail && <span className="text-slate-400"> ({a.detail})</span>}
+            </div>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
@@ -1,88 +1,171 @@
-import React, { useEffect, useMemo, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
 import {
   Plus, Search, Trash2, Pencil, CheckCircle2, Download, Upload,
-  Filter, Save, X, Calendar, ChevronDown, ArrowUpDown
+  Filter, Save, X, Calendar, ChevronDown, ArrowUpDown, Repeat, List, Kanban, CalendarDays, Grid2x2, Zap, Undo2, Redo2, BarChart3, Tag, AlarmClock, MonitorDown, RefreshCw, Keyboard, Play, Square, Timer, Lock, Paperclip, Eye
 } from "lucide-react";
 import './App.css';
-
-// Priority & status orders (for sorting)
-const PRIORITY_ORDER = { Low: 0, Normal: 1, High: 2, Urgent: 3 };
-const STATUS_ORDER = { "Todo": 0, "In Progress": 1, "Done": 2 };
-
-function uid() {
-  return (Date.now().toString(36) + Math.random().toString(36).slice(2, 8)).toUpperCase();
-}
-
-const STORAGE_KEY = "task_prioritizer_v1";
-const THEME_KEY = "task_prioritizer_theme_v1";
-
-// default theme (used for reset and initial state)
-const DEFAULT_THEME = {
-  accent: "#0f172a", // default slate-900
-  font: 'Inter, ui-sans-serif, system-ui, -apple-system, "Segoe UI", Roboto, "Helvetica Neue", Arial',
-  bgFrom: "#f8fafc",
-  bgTo: "#ffffff",
-};
+import { getQuarantine, clearQuarantine } from "./storage";
+import { useTaskStore } from "./useTaskStore";
+import { useUndoHistory } from "./useUndoHistory";
+import { useReminders } from "./useReminders";
+import { usePwa } from "./usePwa";
+import { REMINDER_PRESETS, describeReminder, formatDue, inboxGroups, isSnoozed, sameReminder, snoozeUntil } from "./reminders";
+import Inbox from "./Inbox";
+import CommandPalette, { ShortcutHelp } from "./CommandPalette";
+import BulkBar from "./BulkBar";
+import QuickAdd from "./QuickAdd";
+import TimeLog from "./TimeLog";
+import MarkdownNotes from "./MarkdownNotes";
+import AttachmentList from "./AttachmentList";
+import { toggleTaskLine } from "./notesMarkdown";
+import { makeBackupZip, readBackupZip } from "./backup";
+import { putFiles } from "./taskDb";
+import { TIME_CSV_COLUMNS, formatTracked, isRunning, runningTimer, startTimer, stopTimer, timeEntryRows, trackedMs } from "./timeTracking";
+import { addDays } from "./dates";
+import { logActivity } from "./activity";
+import ActivityTimeline from "./ActivityTimeline";
+import { PRIORITY_ORDER, STATUS_ORDER, uid, normalizeTask, normalizeTags, rollUpStatus, expandRecurring, topOrder } from "./taskModel";
+import { FREQS, WEEKDAY_NAMES, describeRule } from "./recurrence";
+import { diffImport, applyImport } from "./importMerge";
+import ImportWizard from "./ImportWizard";
+import { PriorityBadge, StatusBadge, ProgressBar, BlockedBadge } from "./Badges";
+import { dependencyOrder, findCycle, openBlockers, taskIndex } from "./dependencies";
+import BoardView from "./BoardView";
+import CalendarView from "./CalendarView";
+import MatrixView from "./MatrixView";
+import DashboardView from "./DashboardView";
+import { scoreTask, patchForQuadrant } from "./scoring";
+import { parseQuery, toPredicate, viewClauses } from "./query";
+import { useSyncedState } from "./useSyncedState";
+import { makeEnvelope, parseBackup } from "./storage";
+import SavedViews, { normalizeView, VIEW_DEFAULTS } from "./SavedViews";
+import TagManager, { TagChip, TagInput, ProjectChip } from "./TagManager";
+import {
+  tagUsage, tagColor, renameTag, removeTag, renameTagDef, setTagDefColor, normalizeTagDef, normalizeProject, mergeByKey
+} from "./tags";
+import { download, toCSV, parseCSV, toMarkdown, parseMarkdown, toICS, CSV_COLUMNS, MARKDOWN_FIELDS } from "./formats";
+import { applyTheme, isDark, loadTheme, normalizeTheme, saveTheme } from "./theme";
+import ThemeSettings from "./ThemeSettings";
 
 export default function TaskPrioritizerApp() {
-  const [tasks, setTasks] = useState([]);
-  const [q, setQ] = useState("");
+  const { tasks, setTasks, ready, storageError, setStorageError } = useTaskStore();
+  const { mutate, undo, redo, undoLabel, redoLabel } = useUndoHistory(tasks, setTasks);
+  const [toast, setToast] = useState(null); // { message, undoable }
+  const { updateReady, applyUpdate, canInstall, install } = usePwa();
+
+  // local edits go through here so each touched task logs what changed
+  function change(label, updater) {
+    mutate(label, (prev) => logActivity(prev, updater(prev)));
+  }
+  const [q, setQ] = useState(() => new URLSearchParams(window.location.search).get("q") || "");
   const [priorityFilter, setPriorityFilter] = useState("All");
   const [statusFilter, setStatusFilter] = useState("All");
-  const [sortBy, setSortBy] = useState("priority");   // "Priority" | "Due" | "Created" | "Status"
+  const [tagFilter, setTagFilter] = useState("All");
+  const [projectFilter, setProjectFilter] = useState("All"); // project id, "none" or "All"
+  const [blockedFilter, setBlockedFilter] = useState("All"); // "blocked" | "unblocked" | "All"
+  const [sortBy, setSortBy] = useState("priority");   // "Priority" | "Due" | "Created" | "Status" | "Smart" | "Dependency"
   const [sortDir, setSortDir] = useState("Desc");     // "Asc" | "Desc"
   const [editing, setEditing] = useState(null);
   const [showForm, setShowForm] = useState(false);
+  const [view, setView] = useState("list");         // "list" | "board" | "calendar" | "matrix" | "dashboard"
+  const [formDefaults, setFormDefaults] = useState(null); // prefill for new tasks, e.g. { due }
+
+  // clicking a reminder notification opens its task
+  const { now, permission, requestPermission } = useReminders(tasks, ready, (id) => {
+    const t = tasks.find((x) => x.id === id);
+    if (t) { setEditing(t); setShowForm(true); }
+  });
+
+  // the running timer, if any; `clock` ticks every second while one runs
+  const timer = useMemo(() => runningTimer(tasks), [tasks]);
+  const [clock, setClock] = useState(() => Date.now());
+  useEffect(() => {
+    if (!timer) return;
+    setClock(Date.now());
+    const id = setInterval(() => setClock(Date.now()), 1000);
+    return () => clearInterval(id);
+  }, [timer]);
 
   // theme
-  const [theme, setTheme] = useState(DEFAULT_THEME);
+  const [theme, setTheme] = useState(loadTheme);
+  const [themePresets, setThemePresets] = useSyncedState("themePresets", []);
+  const [prefersDark, setPrefersDark] = useState(() => window.matchMedia?.("(prefers-color-scheme: dark)").matches ?? false);
   const [showTheme, setShowTheme] = useState(false);
 
-  // Load / Save tasks + theme
+  // tag colors and projects (tasks refer to tags by name, projects by id)
+  const [tagDefs, setTagDefs] = useSyncedState("tags", []);
+  const [projects, setProjects] = useSyncedState("projects", []);
+  const [showTags, setShowTags] = useState(false);
+  const tagList = useMemo(() => tagUsage(tasks, tagDefs), [tasks, tagDefs]);
+  const projectById = useMemo(() => new Map(projects.map((p) => [p.id, p])), [projects]);
+  const projectCounts = useMemo(() => {
+    const counts = {};
+    tasks.forEach((t) => { if (t.project) counts[t.project] = (counts[t.project] || 0) + 1; });
+    return counts;
+  }, [tasks]);
+
+  // pending import: { fileName, diff } while the preview is open
+  const [importPreview, setImportPreview] = useState(null);
+
+  // Save / apply theme; "system" mode follows the OS setting live
   useEffect(() => {
-    try {
-      const raw = localStorage.getItem(STORAGE_KEY);
-      if (raw) setTasks(JSON.parse(raw));
-    } catch (e) {
-      console.error("Failed to load tasks", e);
-    }
-    try {
-      const traw = localStorage.getItem(THEME_KEY);
-      if (traw) setTheme(JSON.parse(traw));
-    } catch (e) {
-      console.error("Failed to load theme", e);
-    }
+    const mq = window.matchMedia?.("(prefers-color-scheme: dark)");
+    if (!mq) return;
+    const onChange = (e) => setPrefersDark(e.matches);
+    mq.addEventListener("change", onChange);
+    return () => mq.removeEventListener("change", onChange);
   }, []);
 
   useEffect(() => {
-    try {
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(tasks));
-    } catch (e) {
-      console.error("Failed to save tasks", e);
-    }
-  }, [tasks]);
+    saveTheme(theme);
+    applyTheme(theme, isDark(theme, prefersDark));
+  }, [theme, prefersDark]);
 
+  // the search box is a query (see query.js); the dropdowns add clauses to it
+  const query = useMemo(() => parseQuery(q), [q]);
+
+  // saved views: named snapshots of search, filters and sort
+  const [views, setViews] = useSyncedState("savedViews", []);
+  const currentView = { q, priorityFilter, statusFilter, tagFilter, projectFilter, blockedFilter, sortBy, sortDir };
+
+  const viewCounts = useMemo(
+    () => views.map((v) => tasks.filter(toPredicate(viewClauses(v), tasks)).length),
+    [views, tasks]
+  );
+
+  function applyView(v) {
+    setQ(v.q);
+    setPriorityFilter(v.priorityFilter);
+    setStatusFilter(v.statusFilter);
+    setTagFilter(v.tagFilter || VIEW_DEFAULTS.tagFilter);
+    setProjectFilter(v.projectFilter || VIEW_DEFAULTS.projectFilter);
+    setBlockedFilter(v.blockedFilter || VIEW_DEFAULTS.blockedFilter);
+    setSortBy(v.sortBy);
+    setSortDir(v.sortDir);
+  }
+
+  const filtered = useMemo(
+    () => tasks.filter(toPredicate(viewClauses({ q, priorityFilter, statusFilter, tagFilter, projectFilter, blockedFilter }), tasks)),
+    [tasks, q, priorityFilter, statusFilter, tagFilter, projectFilter, blockedFilter]
+  );
+  const taskById = useMemo(() => taskIndex(tasks), [tasks]);
+
+  // keep the active query in the URL so a filtered view can be bookmarked
   useEffect(() => {
-    try {
-      localStorage.setItem(THEME_KEY, JSON.stringify(theme));
-    } catch (e) {
-      console.error("Failed to save theme", e);
-    }
-  }, [theme]);
+    const url = new URL(window.location.href);
+    if (q.trim()) url.searchParams.set("q", q);
+    else url.searchParams.delete("q");
+    window.history.replaceState(null, "", url);
+  }, [q]);
 
-  const filtered = useMemo(() => {
-    return tasks
-      .filter((t) =>
-        q.trim()
-          ? (t.title + " " + (t.notes || "")).toLowerCase().includes(q.toLowerCase())
-          : true
-      )
-      .filter((t) => (priorityFilter === "All" ? true : t.priority === priorityFilter))
-      .filter((t) => (statusFilter === "All" ? true : t.status === statusFilter));
-  }, [tasks, q, priorityFilter, statusFilter]);
+  const inbox = useMemo(() => inboxGroups(filtered, now), [filtered, now]);
 
   const sorted = useMemo(() => {
     const arr = [...filtered];
+    const scores = sortBy === "smart" || sortBy === "dependency" ? new Map(arr.map((t) => [t.id, scoreTask(t).score])) : null;
+    // blockers first, longest chain of blocked work first; the smart score
+    // breaks ties. The direction doesn't apply: reversed, it would be upside down.
+    if (sortBy === "dependency") return dependencyOrder(arr, (a, b) => scores.get(b.id) - scores.get(a.id));
     arr.sort((a, b) => {
       let cmp = 0;
       if (sortBy === "priority") {
@@ -95,6 +178,8 @@ export default function TaskPrioritizerApp() {
         cmp = new Date(a.createdAt).getTime() - new Date(b.createdAt).getTime();
       } else if (sortBy === "status") {
         cmp = STATUS_ORDER[a.status] - STATUS_ORDER[b.status];
+      } else if (sortBy === "smart") {
+        cmp = scores.get(a.id) - scores.get(b.id);
       }
       return sortDir === "asc" ? cmp : -cmp;
     });
@@ -105,31 +190,60 @@ export default function TaskPrioritizerApp() {
     const total = tasks.length;
     const done = tasks.filter((t) => t.status === "Done").length;
     const high = tasks.filter((t) => t.priority === "High" || t.priority === "Urgent").length;
-    return { total, done, high };
+    const subs = tasks.flatMap((t) => t.subtasks || []);
+    const subDone = subs.filter((s) => s.done).length;
+    return { total, done, high, subDone, subTotal: subs.length };
   }, [tasks]);
 
   function upsertTask(input) {
     const now = new Date().toISOString();
     if (editing) {
-      setTasks((prev) =>
-        prev.map((t) =>
-          t.id === editing.id
-            ? {
-                ...t,
-                title: input.title ?? t.title,
-                notes: input.notes ?? t.notes,
-                priority: input.priority ?? t.priority,
-                status: input.status ?? t.status,
-                due: input.due === undefined ? t.due : input.due || undefined,
-                updatedAt: now,
-              }
-            : t
-        )
+      // another tab may have linked things up since the form checked
+      if (input.blockedBy && findCycle(tasks, editing.id, input.blockedBy)) {
+        alert("These \"blocked by\" links would make tasks wait on each other in a loop.");
+        return;
+      }
+      change("Edit task", (prev) =>
+        prev.flatMap((t) => {
+          if (t.id !== editing.id) return [t];
+          const due = input.due === undefined ? t.due : input.due || undefined;
+          const dueTime = input.dueTime === undefined ? t.dueTime : input.dueTime || undefined;
+          // a snooze was for the old deadline; the new one gets its reminders
+          const moved = due !== t.due || dueTime !== t.dueTime;
+          return expandRecurring(t, rollUpStatus({
+            ...t,
+            title: input.title ?? t.title,
+            notes: input.notes ?? t.notes,
+            priority: input.priority ?? t.priority,
+            status: input.status ?? t.status,
+            due,
+            dueTime,
+            snoozedUntil: moved ? undefined : t.snoozedUntil,
+            reminders: input.reminders ?? t.reminders,
+            subtasks: input.subtasks ?? t.subtasks,
+            autoStatus: input.autoStatus ?? t.autoStatus,
+            estimate: input.estimate === undefined ? t.estimate : input.estimate || undefined,
+            recurrence: input.recurrence === undefined ? t.recurrence : input.recurrence,
+            tags: input.tags ?? t.tags,
+            project: input.project === undefined ? t.project : input.project || undefined,
+            blockedBy: input.blockedBy ?? t.blockedBy,
+            attachments: input.attachments ?? t.attachments,
+            updatedAt: now,
+          }));
+        })
       );
       setEditing(null);
       setShowForm(false);
       return;
     }
+    createTask(input);
+    setShowForm(false);
+    setFormDefaults(null);
+  }
+
+  // shared by the task form and the quick-add bar
+  function createTask(input) {
+    const now = new Date().toISOString();
     const newTask = {
       id: uid(),
       title: (input.title || "Untitled").trim(),
@@ -137,69 +251,420 @@ export default function TaskPrioritizerApp() {
       priority: input.priority || "Normal",
       status: input.status || "Todo",
       due: input.due || undefined,
+      dueTime: input.dueTime || undefined,
+      reminders: input.reminders || [],
+      subtasks: input.subtasks || [],
+      autoStatus: Boolean(input.autoStatus),
+      estimate: input.estimate || undefined,
+      recurrence: input.recurrence || null,
+      tags: input.tags || [],
+      project: input.project || undefined,
+      blockedBy: input.blockedBy || [],
+      attachments: input.attachments || [],
+      timeEntries: [],
       createdAt: now,
       updatedAt: now,
     };
-    setTasks((prev) => [newTask, ...prev]);
-    setShowForm(false);
+    change("Create task", (prev) => [...expandRecurring({}, rollUpStatus({ ...newTask, order: topOrder(prev) })), ...prev]);
+  }
+
+  function handleRenameTag(from, to) {
+    change(`Rename tag #${from}`, (prev) => renameTag(prev, from, to));
+    setTagDefs((prev) => renameTagDef(prev, from, to));
+    if (tagFilter.toLowerCase() === from.toLowerCase()) setTagFilter(to);
+  }
+
+  function handleDeleteTag(name) {
+    change(`Delete tag #${name}`, (prev) => removeTag(prev, name));
+    setTagDefs((prev) => prev.filter((d) => d.name.toLowerCase() !== name.toLowerCase()));
+    if (tagFilter.toLowerCase() === name.toLowerCase()) setTagFilter("All");
+  }
+
+  function handleDeleteProject(id) {
+    const now = new Date().toISOString();
+    change("Delete project", (prev) => prev.map((t) => (t.project === id ? { ...t, project: undefined, updatedAt: now } : t)));
+    setProjects((prev) => prev.filter((p) => p.id !== id));
+    if (projectFilter === id) setProjectFilter("All");
+  }
+
+  // starting a timer stops any other one
+  function toggleTimer(id) {
+    const t = tasks.find((x) => x.id === id);
+    if (t && isRunning(t)) change("Stop timer", stopTimer);
+    else change("Start timer", (prev) => startTimer(prev, id));
+  }
+
+  // a "- [ ]" item in a task's notes, by its line in the source
+  function toggleNoteItem(id, line) {
+    const now = new Date().toISOString();
+    change("Check note item", (prev) => prev.map((t) => (t.id === id ? { ...t, notes: toggleTaskLine(t.notes, line), updatedAt: now } : t)));
+  }
+
+  function setTimeEntries(id, label, timeEntries) {
+    const now = new Date().toISOString();
+    change(label, (prev) => prev.map((t) => (t.id === id ? { ...t, timeEntries, updatedAt: now } : t)));
   }
 
   function removeTask(id) {
-    setTasks((prev) => prev.filter((t) => t.id !== id));
+    const task = tasks.find((t) => t.id === id);
+    mutate("Delete task", (prev) => prev.filter((t) => t.id !== id));
+    setToast({ message: `Deleted "${task?.title ?? "task"}"`, undoable: true });
+  }
+
+  function handleUndo() {
+    const label = undo();
+    setToast(label ? { message: `Undid: ${label}`, undoable: false } : null);
+  }
+
+  function handleRedo() {
+    const label = redo();
+    setToast(label ? { message: `Redid: ${label}`, undoable: false } : null);
   }
 
+  // keyboard selection in the list: j/k move it through `sorted`
+  const [selectedId, setSelectedId] = useState(null);
+  const [showPalette, setShowPalette] = useState(false);
+  const [showHelp, setShowHelp] = useState(false);
+  const searchRef = useRef(null);
+
+  function moveSelection(delta) {
+    if (sorted.length === 0) return;
+    const i = sorted.findIndex((t) => t.id === selectedId);
+    const next = i === -1 ? (delta > 0 ? 0 : sorted.length - 1) : Math.min(sorted.length - 1, Math.max(0, i + delta));
+    setSelectedId(sorted[next].id);
+    setView("list");
+    document.querySelector(`[data-task-id="${sorted[next].id}"]`)?.scrollIntoView({ block: "nearest" });
+  }
+
+  // the selection ring only shows in the list, so other views ignore it
+  function withSelected(fn) {
+    if (view !== "list") return;
+    const t = sorted.find((x) => x.id === selectedId);
+    if (t) fn(t);
+  }
+
+  // Shortcuts (see SHORTCUTS in CommandPalette.jsx). Ctrl/Cmd+Z and
+  // Ctrl/Cmd+Shift+Z (or Ctrl+Y) undo/redo; text fields keep their own undo.
+  // Single-key shortcuts are off while typing or while a dialog is open.
+  const shortcuts = useRef({});
+  const dialogOpen = showForm || showTheme || showTags || showPalette || showHelp || Boolean(importPreview);
+  shortcuts.current = {
+    handleUndo,
+    handleRedo,
+    dialogOpen,
+    keys: {
+      n: () => openNewTask(),
+      "/": () => searchRef.current?.focus(),
+      j: () => moveSelection(1),
+      k: () => moveSelection(-1),
+      x: () => withSelected((t) => toggleDone(t.id)),
+      e: () => withSelected((t) => { setEditing(t); setShowForm(true); }),
+      t: () => withSelected((t) => toggleTimer(t.id)),
+      Delete: () => withSelected((t) => removeTask(t.id)),
+      "?": () => setShowHelp(true),
+    },
+  };
+  useEffect(() => {
+    function onKeyDown(e) {
+      const { keys, dialogOpen } = shortcuts.current;
+      const typing = e.target.closest?.("input, textarea, select, [contenteditable]");
+      if ((e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === "k") {
+        e.preventDefault();
+        setShowHelp(false);
+        setShowPalette((open) => !open);
+        return;
+      }
+      if (e.key === "Escape" && !typing) {
+        setShowHelp(false);
+        return;
+      }
+      if (typing) return;
+      if (!(e.ctrlKey || e.metaKey)) {
+        if (e.altKey || dialogOpen || !keys[e.key]) return;
+        e.preventDefault();
+        keys[e.key]();
+        return;
+      }
+      if (e.altKey) return;
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) shortcuts.current.handleUndo();
+      else if ((key === "z" && e.shiftKey) || key === "y") shortcuts.current.handleRedo();
+      else return;
+      e.preventDefault();
+    }
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, []);
+
+  useEffect(() => {
+    if (!toast) return;
+    const timer = setTimeout(() => setToast(null), 6000);
+    return () => clearTimeout(timer);
+  }, [toast]);
+
+  // completing or reopening a parent does the same to its whole checklist;
+  // completing a recurring task also queues its next occurrence
   function toggleDone(id) {
-    setTasks((prev) =>
-      prev.map((t) =>
-        t.id === id
-          ? { ...t, status: t.status === "Done" ? "Todo" : "Done", updatedAt: new Date().toISOString() }
-          : t
+    change("Toggle done", (prev) =>
+      prev.flatMap((t) => {
+        if (t.id !== id) return [t];
+        const done = t.status !== "Done";
+        return expandRecurring(t, {
+          ...t,
+          status: done ? "Done" : "Todo",
+          subtasks: (t.subtasks || []).map((s) => (s.done === done ? s : { ...s, done })),
+          updatedAt: new Date().toISOString(),
+        });
+      })
+    );
+  }
+
+  function toggleSubtask(taskId, subId) {
+    change("Toggle checklist item", (prev) =>
+      prev.flatMap((t) =>
+        t.id === taskId
+          ? expandRecurring(t, rollUpStatus({
+              ...t,
+              subtasks: t.subtasks.map((s) => (s.id === subId ? { ...s, done: !s.done } : s)),
+              updatedAt: new Date().toISOString(),
+            }))
+          : [t]
       )
     );
   }
 
-  function exportJSON() {
-    const blob = new Blob([JSON.stringify(tasks, null, 2)], { type: "application/json" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = `tasks-${new Date().toISOString().slice(0, 10)}.json`;
-    a.click();
-    URL.revokeObjectURL(url);
+  function snoozeTask(id, option) {
+    change("Snooze", (prev) =>
+      prev.map((t) => (t.id === id ? { ...t, snoozedUntil: snoozeUntil(option), updatedAt: new Date().toISOString() } : t))
+    );
+  }
+
+  // board drag/drop: new status and manual order; `others` renumbers the
+  // rest of the column when needed (see placeInColumn)
+  function moveTask(id, { status, order }, others = {}) {
+    const now = new Date().toISOString();
+    change("Move task", (prev) =>
+      prev.flatMap((t) => {
+        if (t.id === id) return expandRecurring(t, { ...t, status, order, updatedAt: now });
+        return t.id in others ? [{ ...t, order: others[t.id], updatedAt: now }] : [t];
+      })
+    );
+  }
+
+  function moveToQuadrant(id, quadrant) {
+    change("Move task", (prev) =>
+      prev.map((t) => {
+        if (t.id !== id) return t;
+        const patch = patchForQuadrant(t, quadrant);
+        return Object.keys(patch).length ? { ...t, ...patch, updatedAt: new Date().toISOString() } : t;
+      })
+    );
+  }
+
+  function rescheduleTask(id, due) {
+    change("Reschedule task", (prev) =>
+      prev.map((t) => (t.id === id && t.due !== due ? { ...t, due, snoozedUntil: undefined, updatedAt: new Date().toISOString() } : t))
+    );
+  }
+
+  // bulk selection: checkboxes on list cards, shift-click selects a range of `sorted`
+  const [checked, setChecked] = useState(() => new Set());
+  const checkAnchor = useRef(null);
+  // bulk actions only reach tasks the filters show
+  const checkedTasks = useMemo(() => filtered.filter((t) => checked.has(t.id)), [filtered, checked]);
+
+  // and a task the filters hide leaves the selection
+  useEffect(() => {
+    const visible = new Set(filtered.map((t) => t.id));
+    setChecked((prev) => ([...prev].every((id) => visible.has(id)) ? prev : new Set([...prev].filter((id) => visible.has(id)))));
+  }, [filtered]);
+
+  function toggleChecked(id, shiftKey) {
+    const ids = sorted.map((t) => t.id);
+    const from = ids.indexOf(checkAnchor.current);
+    const to = ids.indexOf(id);
+    setChecked((prev) => {
+      const next = new Set(prev);
+      if (shiftKey && from !== -1 && to !== -1) {
+        const on = !prev.has(id);
+        ids.slice(Math.min(from, to), Math.max(from, to) + 1).forEach((x) => (on ? next.add(x) : next.delete(x)));
+      } else if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+    checkAnchor.current = id;
+  }
+
+  function bulkUpdate(label, update) {
+    const now = new Date().toISOString();
+    const ids = new Set(checkedTasks.map((t) => t.id));
+    change(`${label} (${ids.size} tasks)`, (prev) =>
+      prev.flatMap((t) => {
+        if (!ids.has(t.id)) return [t];
+        const next = update(t);
+        return next === t ? [t] : expandRecurring(t, { ...next, updatedAt: now });
+      })
+    );
+  }
+
+  function bulkDelete() {
+    const n = checkedTasks.length;
+    if (!confirm(`Delete ${n} task${n === 1 ? "" : "s"}?`)) return;
+    const ids = new Set(checkedTasks.map((t) => t.id));
+    mutate(`Delete ${n} tasks`, (prev) => prev.filter((t) => !ids.has(t.id)));
+    setChecked(new Set());
+    setToast({ message: `Deleted ${n} task${n === 1 ? "" : "s"}`, undoable: true });
+  }
+
+  function openNewTask(defaults = null) {
+    setEditing(null);
+    setFormDefaults(defaults);
+    setShowForm(true);
   }
 
-  function importJSON(file) {
-    const reader = new FileReader();
-    reader.onload = () => {
+  // earlier completed occurrences of a recurring task, newest first
+  function seriesHistory(task) {
+    const seriesId = task.seriesId || task.id;
+    return tasks
+      .filter((t) => t.id !== task.id && t.seriesId === seriesId && t.status === "Done")
+      .sort((a, b) => (b.due || "").localeCompare(a.due || ""));
+  }
+
+  // everything the command palette offers: actions first, then every task
+  function paletteCommands() {
+    const open = (t) => { setSelectedId(t.id); setEditing(t); setShowForm(true); };
+    return [
+      { id: "new", group: "Task", label: "New task", hint: "n", run: () => openNewTask() },
+      { id: "search", group: "Go", label: "Search", hint: "/", run: () => setTimeout(() => searchRef.current?.focus()) },
+      ...[["list", "List"], ["board", "Board"], ["calendar", "Calendar"], ["matrix", "Matrix"], ["dashboard", "Dashboard"]]
+        .map(([value, label]) => ({ id: `view-${value}`, group: "View", label: `${label} view`, run: () => setView(value) })),
+      ...["priority", "due", "created", "status", "smart", "dependency"]
+        .map((value) => ({ id: `sort-${value}`, group: "Sort", label: `Sort by ${value}`, run: () => setSortBy(value) })),
+      { id: "sort-dir", group: "Sort", label: sortDir === "asc" ? "Sort descending" : "Sort ascending", run: () => setSortDir(sortDir === "asc" ? "desc" : "asc") },
+      ...["Urgent", "High", "Normal", "Low"]
+        .map((p) => ({ id: `priority-${p}`, group: "Filter", label: `Priority: ${p}`, run: () => setPriorityFilter(p) })),
+      ...["Todo", "In Progress", "Done"]
+        .map((st) => ({ id: `status-${st}`, group: "Filter", label: `Status: ${st}`, run: () => setStatusFilter(st) })),
+      ...tagList.map((tag) => ({ id: `tag-${tag.name}`, group: "Filter", label: `Tag: #${tag.name}`, run: () => setTagFilter(tag.name) })),
+      ...projects.map((p) => ({ id: `project-${p.id}`, group: "Filter", label: `Project: ${p.name}`, run: () => setProjectFilter(p.id) })),
+      { id: "hide-blocked", group: "Filter", label: "Hide blocked tasks", run: () => setBlockedFilter("unblocked") },
+      { id: "only-blocked", group: "Filter", label: "Only blocked tasks", run: () => setBlockedFilter("blocked") },
+      {
+        id: "clear-filters", group: "Filter", label: "Clear search and filters",
+        run: () => applyView({ ...VIEW_DEFAULTS, sortBy, sortDir }),
+      },
+      { id: "undo", group: "Edit", label: undoLabel ? `Undo: ${undoLabel}` : "Undo", hint: "Ctrl Z", run: handleUndo },
+      { id: "redo", group: "Edit", label: redoLabel ? `Redo: ${redoLabel}` : "Redo", hint: "Ctrl Shift Z", run: handleRedo },
+      ...(timer ? [{ id: "timer-stop", group: "Task", label: `Stop timer: ${timer.task.title}`, run: () => change("Stop timer", stopTimer) }] : []),
+      ...[["json", "JSON backup"], ["csv", "CSV"], ["md", "Markdown checklist"], ["ics", "Calendar (.ics)"], ["time", "Time entries (CSV)"], ["zip", "Full backup with attachments (.zip)"]]
+        .map(([format, label]) => ({ id: `export-${format}`, group: "Export", label, run: () => exportAs(format) })),
+      { id: "tags", group: "Open", label: "Tags & projects", run: () => setShowTags(true) },
+      { id: "theme", group: "Open", label: "Appearance", run: () => setShowTheme(true) },
+      { id: "help", group: "Open", label: "Keyboard shortcuts", hint: "?", run: () => setShowHelp(true) },
+      ...sorted.map((t) => ({ id: `task-${t.id}`, group: "Task", label: t.title, run: () => open(t) })),
+    ];
+  }
+
+  // `list` narrows the export, e.g. to the bulk selection
+  async function exportAs(format, list = tasks) {
+    const stamp = new Date().toISOString().slice(0, 10);
+    const name = list === tasks ? `tasks-${stamp}` : `tasks-selection-${stamp}`;
+    if (format === "zip") {
       try {
-        const data = JSON.parse(String(reader.result));
-        if (!Array.isArray(data)) throw new Error("Invalid file");
-        const clean = data
-          .filter((d) => d && d.id && d.title)
-          .map((d) => ({
-            id: String(d.id),
-            title: String(d.title),
-            notes: d.notes ? String(d.notes) : "",
-            priority: ["Low", "Normal", "High", "Urgent"].includes(d.priority) ? d.priority : "Normal",
-            status: ["Todo", "In Progress", "Done"].includes(d.status) ? d.status : "Todo",
-            due: d.due ? String(d.due) : undefined,
-            createdAt: d.createdAt ? String(d.createdAt) : new Date().toISOString(),
-            updatedAt: new Date().toISOString(),
-          }));
-        setTasks(clean);
+        download(`${name}.zip`, await makeBackupZip(makeEnvelope(list, { views, tags: tagDefs, projects })), "application/zip");
       } catch (e) {
-        alert("Could not import: " + e.message);
+        alert("Could not create the backup: " + e.message);
       }
-    };
-    reader.readAsText(file);
+      return;
+    }
+    if (format === "csv") download(`${name}.csv`, toCSV(list), "text/csv");
+    else if (format === "time") download(`time-${name}.csv`, toCSV(timeEntryRows(list), TIME_CSV_COLUMNS), "text/csv");
+    else if (format === "md") download(`${name}.md`, toMarkdown(list), "text/markdown");
+    else if (format === "ics") download(`${name}.ics`, toICS(list), "text/calendar");
+    else download(`${name}.json`, JSON.stringify(makeEnvelope(list, { views, tags: tagDefs, projects }), null, 2), "application/json");
+  }
+
+  function downloadQuarantine() {
+    const q = getQuarantine();
+    if (!q) return;
+    download(`tasks-unreadable-${q.quarantinedAt.slice(0, 10)}.json`, q.raw, "application/json");
+  }
+
+  function dismissQuarantine() {
+    clearQuarantine();
+    setStorageError(null);
+  }
+
+  // JSON, CSV, Markdown checklist or a .zip full backup, picked by file extension
+  async function importFile(file) {
+    try {
+      let text;
+      let files = [];
+      if (/\.zip$/i.test(file.name)) ({ text, files } = await readBackupZip(await file.arrayBuffer()));
+      else text = await file.text();
+      let data;
+      let incomingViews = [];
+      let incomingTags = [];
+      let incomingProjects = [];
+      let fields; // what the format carries; JSON carries everything
+      if (/\.csv$/i.test(file.name)) {
+        data = parseCSV(text);
+        fields = CSV_COLUMNS;
+      } else if (/\.(md|markdown|txt)$/i.test(file.name)) {
+        data = parseMarkdown(text);
+        fields = MARKDOWN_FIELDS;
+      } else {
+        // a bare tasks array (older exports) or a versioned backup with views
+        const backup = parseBackup(text);
+        data = backup.tasks;
+        incomingViews = Array.isArray(backup.views) ? backup.views.map(normalizeView).filter(Boolean) : [];
+        incomingTags = Array.isArray(backup.tags) ? backup.tags.map(normalizeTagDef).filter(Boolean) : [];
+        incomingProjects = Array.isArray(backup.projects) ? backup.projects.map(normalizeProject).filter(Boolean) : [];
+      }
+      if (!Array.isArray(data)) throw new Error("Invalid file");
+      if (data.length === 0 && incomingViews.length === 0) throw new Error("No tasks found in file");
+      // a project id we'd have no name for is dropped rather than kept dangling
+      const known = new Set([...projects, ...incomingProjects].map((p) => p.id));
+      const clean = data.map(normalizeTask).filter(Boolean)
+        .map((t) => (t.project && !known.has(t.project) ? { ...t, project: undefined } : t));
+      const types = new Map(clean.flatMap((t) => t.attachments).map((a) => [a.id, a.type]));
+      setImportPreview({
+        fileName: file.name,
+        diff: diffImport(tasks, clean, fields),
+        fields,
+        views: incomingViews,
+        tags: incomingTags,
+        projects: incomingProjects,
+        files: files.map((f) => ({ ...f, type: types.get(f.id) || "application/octet-stream" })),
+      });
+    } catch (e) {
+      alert("Could not import: " + e.message);
+    }
+  }
+
+  function applyImportPreview(strategies) {
+    const { diff, fields, views: incomingViews, tags: incomingTags, projects: incomingProjects, files } = importPreview;
+    mutate("Import", (prev) => applyImport(prev, diff, strategies, fields));
+    setToast({ message: `Imported ${importPreview.fileName}`, undoable: true });
+    // views and projects are matched by id, tags by name: a match replaces, the rest are appended
+    if (incomingViews.length) setViews((prev) => mergeByKey(prev, incomingViews, (v) => v.id));
+    if (incomingTags.length) setTagDefs((prev) => mergeByKey(prev, incomingTags, (d) => d.name.toLowerCase()));
+    if (incomingProjects.length) setProjects((prev) => mergeByKey(prev, incomingProjects, (p) => p.id));
+    // attachment files are restored as they are, even past the quota
+    if (files.length) {
+      const createdAt = new Date().toISOString();
+      putFiles(files.map((f) => ({ id: f.id, name: f.name, type: f.type, size: f.data.length, blob: new Blob([f.data], { type: f.type }), createdAt })))
+        .catch((e) => alert("Could not restore attachments: " + e.message));
+    }
+    setImportPreview(null);
   }
 
   return (
     <div
       className="min-h-screen text-slate-900"
       style={{
-        background: `linear-gradient(180deg, ${theme.bgFrom} 0%, ${theme.bgTo} 100%)`,
-        fontFamily: theme.font,
+        background: "linear-gradient(180deg, var(--bg-from) 0%, var(--bg-to) 100%)",
+        fontFamily: "var(--font)",
       }}
     >
       <header className="sticky top-0 z-10 border-b bg-white/80 backdrop-blur">
@@ -213,14 +678,62 @@ export default function TaskPrioritizerApp() {
           </div>
 
           <div className="flex items-center gap-2">
+            {timer && (
+              <button
+                onClick={() => change("Stop timer", stopTimer)}
+                className="inline-flex max-w-[14rem] items-center gap-2 rounded-2xl border border-red-200 bg-red-50 px-3 py-2 text-sm font-medium text-red-700 hover:bg-red-100"
+                title={`Stop the timer on "${timer.task.title}"`}
+              >
+                <Square className="h-4 w-4 shrink-0" />
+                <span className="truncate">{timer.task.title}</span>
+                <span className="tabular-nums">{formatTracked(clock - new Date(timer.entry.start).getTime(), true)}</span>
+              </button>
+            )}
+
             <button
-              onClick={() => setShowForm(true)}
-              className="inline-flex items-center gap-2 rounded-2xl px-3 py-2 text-sm font-semibold text-white shadow-sm hover:opacity-90"
-              style={{ backgroundColor: theme.accent, borderColor: theme.accent }}
+              onClick={() => openNewTask()}
+              className="inline-flex items-center gap-2 rounded-2xl bg-accent px-3 py-2 text-sm font-semibold text-accent-fg shadow-sm hover:opacity-90"
             >
               <Plus className="h-4 w-4" /> New Task
             </button>
 
+            <div className="inline-flex rounded-2xl border">
+              <button
+                onClick={handleUndo}
+                disabled={!undoLabel}
+                className="rounded-l-2xl px-2.5 py-2 hover:bg-slate-50 disabled:opacity-40"
+                title={undoLabel ? `Undo: ${undoLabel} (Ctrl+Z)` : "Nothing to undo"}
+              >
+                <Undo2 className="h-4 w-4" />
+              </button>
+              <button
+                onClick={handleRedo}
+                disabled={!redoLabel}
+                className="rounded-r-2xl border-l px-2.5 py-2 hover:bg-slate-50 disabled:opacity-40"
+                title={redoLabel ? `Redo: ${redoLabel} (Ctrl+Shift+Z)` : "Nothing to redo"}
+              >
+                <Redo2 className="h-4 w-4" />
+              </button>
+            </div>
+
+            {canInstall && (
+              <button
+                onClick={install}
+                className="inline-flex items-center gap-2 rounded-2xl border px-3 py-2 text-sm font-medium hover:bg-slate-50"
+                title="Install as an app that works offline"
+              >
+                <MonitorDown className="h-4 w-4" /> Install
+              </button>
+            )}
+
+            <button
+              onClick={() => setShowTags(true)}
+              className="inline-flex items-center gap-2 rounded-2xl border px-3 py-2 text-sm font-medium hover:bg-slate-50"
+              title="Tags & projects"
+            >
+              <Tag className="h-4 w-4" /> Tags
+            </button>
+
             <button
               onClick={() => setShowTheme(true)}
               className="inline-flex items-center gap-2 rounded-2xl border px-3 py-2 text-sm font-medium hover:bg-slate-50"
@@ -230,22 +743,17 @@ export default function TaskPrioritizerApp() {
               Appearance
             </button>
 
-            <button
-              onClick={exportJSON}
-              className="inline-flex items-center gap-2 rounded-2xl border px-3 py-2 text-sm font-medium hover:bg-slate-50"
-              title="Export JSON"
-            >
-              <Download className="h-4 w-4" /> Export
-            </button>
+            <ExportMenu onExport={exportAs} />
             <label className="inline-flex cursor-pointer items-center gap-2 rounded-2xl border px-3 py-2 text-sm font-medium hover:bg-slate-50">
               <Upload className="h-4 w-4" /> Import
               <input
                 type="file"
-                accept="application/json"
+                accept=".json,.csv,.md,.markdown,.txt,.zip,application/json,text/csv,text/markdown,application/zip"
                 className="hidden"
                 onChange={(e) => {
                   const f = e.target.files?.[0];
-                  if (f) importJSON(f);
+                  if (f) importFile(f);
+                  e.target.value = ""; // allow re-importing the same file
                 }}
               />
             </label>
@@ -254,18 +762,73 @@ export default function TaskPrioritizerApp() {
       </header>
 
       <main className="mx-auto max-w-6xl px-4 py-6">
+        {updateReady && (
+          <div className="mb-4 flex flex-wrap items-center justify-between gap-3 rounded-2xl border border-blue-200 bg-blue-50 px-4 py-3 text-sm text-blue-800">
+            <span>A new version of the app is available.</span>
+            <button onClick={applyUpdate} className="inline-flex items-center gap-1 rounded-xl border border-blue-300 px-2.5 py-1.5 text-xs font-medium hover:bg-blue-100">
+              <RefreshCw className="h-4 w-4" /> Reload to update
+            </button>
+          </div>
+        )}
+
+        {storageError && (
+          <div className="mb-4 flex flex-wrap items-center justify-between gap-3 rounded-2xl border border-amber-200 bg-amber-50 px-4 py-3 text-sm text-amber-800">
+            <span>Saved tasks could not be read ({storageError}). The original data was set aside so nothing was lost.</span>
+            <div className="flex items-center gap-2">
+              <button onClick={downloadQuarantine} className="inline-flex items-center gap-1 rounded-xl border border-amber-300 px-2.5 py-1.5 text-xs font-medium hover:bg-amber-100">
+                <Download className="h-4 w-4" /> Download
+              </button>
+              <button onClick={dismissQuarantine} className="rounded-xl border border-amber-300 px-2.5 py-1.5 text-xs font-medium hover:bg-amber-100">
+                Discard
+              </button>
+            </div>
+          </div>
+        )}
+
+        <SavedViews
+          views={views}
+          counts={viewCounts}
+          current={currentView}
+          onChange={setViews}
+          onApply={applyView}
+        />
+
+        <QuickAdd
+          tagDefs={tagDefs}
+          onAdd={(input) => {
+            createTask(input);
+            setToast({ message: `Added "${input.title}"`, undoable: true });
+          }}
+        />
+
         {/* Controls */}
         <div className="mb-4 grid grid-cols-1 gap-3 md:grid-cols-12">
           <div className="md:col-span-5">
             <div className="relative">
               <Search className="absolute left-3 top-1/2 h-4 w-4 -translate-y-1/2 text-slate-400" />
               <input
+                ref={searchRef}
                 value={q}
                 onChange={(e) => setQ(e.target.value)}
-                placeholder="Search by title or notes..."
-                className="w-full rounded-2xl border px-9 py-2 text-sm outline-none ring-slate-200 focus:ring"
+                placeholder='Search, or filter: priority:>=High status:!Done due:<7d "phrase" -word'
+                title={QUERY_HELP}
+                aria-invalid={query.errors.length > 0}
+                aria-describedby={query.errors.length > 0 ? "query-errors" : undefined}
+                className={`w-full rounded-2xl border px-9 py-2 text-sm outline-none focus:ring ${query.errors.length > 0 ? "border-red-300 ring-red-200" : "ring-slate-200"}`}
               />
+              {q && (
+                <button onClick={() => setQ("")} className="absolute right-3 top-1/2 -translate-y-1/2 text-slate-400 hover:text-slate-600" title="Clear search">
+                  <X className="h-4 w-4" />
+                </button>
+              )}
             </div>
+            {query.errors.length > 0 && (
+              <ul id="query-errors" className="mt-1 space-y-0.5 px-3 text-xs text-red-600">
+                {query.errors.map((err, i) => (
+                  <li key={i}><code className="rounded bg-red-50 px-1">{err.token}</code> {err.message}</li>
+                ))}
+              </ul>
+            )}
           </div>
 
           <div className="md:col-span-7">
@@ -274,8 +837,18 @@ export default function TaskPrioritizerApp() {
                       options={["All","Urgent","High","Normal","Low"]} />
               <Select value={statusFilter} onChange={setStatusFilter} label="All status"
                       options={["All","Todo","In Progress","Done"]} />
+              <Select value={tagFilter} onChange={setTagFilter} label="All tags"
+                      options={["All", ...tagList.map((t) => t.name)]} labels={{ All: "All tags" }}
+                      icon={<Tag className="h-4 w-4" />} />
+              <Select value={projectFilter} onChange={setProjectFilter} label="All projects"
+                      options={["All", "none", ...projects.map((p) => p.id)]}
+                      labels={{ All: "All projects", none: "No project", ...Object.fromEntries(projects.map((p) => [p.id, p.name])) }} />
+              <Select value={blockedFilter} onChange={setBlockedFilter} label="All tasks"
+                      options={["All", "unblocked", "blocked"]}
+                      labels={{ All: "Blocked or not", unblocked: "Hide blocked", blocked: "Only blocked" }}
+                      icon={<Lock className="h-4 w-4" />} />
               <Select value={sortBy} onChange={setSortBy} label="Sort by priority"
-                      options={["priority","due","created","status"]} icon={<ArrowUpDown className="h-4 w-4" />} />
+                      options={["priority","due","created","status","smart","dependency"]} icon={<ArrowUpDown className="h-4 w-4" />} />
               <Select value={sortDir} onChange={setSortDir} label="Desc"
                       options={["desc","asc"]} icon={<ArrowUpDown className="h-4 w-4" />} />
             </div>
@@ -283,28 +856,112 @@ export default function TaskPrioritizerApp() {
         </div>
 
         {/* Stats */}
-<div className="mb-6 grid grid-cols-1 gap-4 sm:grid-cols-3">
+<div className="mb-6 grid grid-cols-1 gap-4 sm:grid-cols-2 lg:grid-cols-4">
   <StatCard label="Total Tasks" value={stats.total} subtitle="All tasks stored locally" />
   <StatCard label="High & Urgent" value={stats.high} subtitle="Needs attention" />
   <StatCard label="Completed" value={stats.done} subtitle="Marked as done" />
+  <StatCard label="Checklist items" value={`${stats.subDone}/${stats.subTotal}`} subtitle="Subtasks completed" />
 </div>
 
 
-        {/* List */}
+        <div className="mb-3 flex justify-end">
+          <div className="inline-flex rounded-2xl border bg-white p-0.5 text-sm">
+            {[["list", "List", List], ["board", "Board", Kanban], ["calendar", "Calendar", CalendarDays], ["matrix", "Matrix", Grid2x2], ["dashboard", "Dashboard", BarChart3]].map(([value, label, Icon]) => (
+              <button
+                key={value}
+                onClick={() => setView(value)}
+                aria-pressed={view === value}
+                className={`inline-flex items-center gap-1.5 rounded-xl px-3 py-1.5 font-medium ${view === value ? "bg-slate-900 text-white" : "hover:bg-slate-50"}`}
+              >
+                <Icon className="h-4 w-4" /> {label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {view === "list" && (
+          <Inbox
+            groups={inbox}
+            permission={permission}
+            onEnableNotifications={requestPermission}
+            onOpen={(t) => { setEditing(t); setShowForm(true); }}
+            onToggleDone={toggleDone}
+            onSnooze={snoozeTask}
+          />
+        )}
+
+        {view === "list" && checkedTasks.length > 0 && (
+          <BulkBar
+            count={checkedTasks.length}
+            matchingCount={filtered.length}
+            onSelectAll={() => setChecked(new Set(filtered.map((t) => t.id)))}
+            onClear={() => setChecked(new Set())}
+            tagNames={tagList.map((t) => t.name)}
+            checkedTagNames={normalizeTags(checkedTasks.flatMap((t) => t.tags || []))}
+            onPriority={(p) => bulkUpdate("Set priority", (t) => (t.priority === p ? t : { ...t, priority: p }))}
+            onStatus={(st) => bulkUpdate("Set status", (t) => (t.status === st ? t : { ...t, status: st }))}
+            onShiftDue={(n) => bulkUpdate("Shift due dates", (t) => (t.due ? { ...t, due: addDays(t.due, n), snoozedUntil: undefined } : t))}
+            onAddTag={(name) => bulkUpdate("Add tag", (t) => {
+              const tags = normalizeTags([...(t.tags || []), name]);
+              return tags.length === (t.tags || []).length ? t : { ...t, tags };
+            })}
+            onRemoveTag={(name) => bulkUpdate("Remove tag", (t) => removeTag([t], name)[0])}
+            onDelete={bulkDelete}
+            onExport={(format) => exportAs(format, checkedTasks)}
+          />
+        )}
+
+        {view === "dashboard" ? (
+          <DashboardView tasks={filtered} now={clock} onExportTime={(from, to) => download(`time-${from}-to-${to}.csv`, toCSV(timeEntryRows(filtered, from, to), TIME_CSV_COLUMNS), "text/csv")} />
+        ) : view === "matrix" ? (
+          <MatrixView
+            tasks={filtered}
+            onMoveToQuadrant={moveToQuadrant}
+            onOpen={(t) => { setEditing(t); setShowForm(true); }}
+          />
+        ) : view === "calendar" ? (
+          <CalendarView
+            tasks={filtered}
+            onReschedule={rescheduleTask}
+            onOpen={(t) => { setEditing(t); setShowForm(true); }}
+            onCreate={(due) => openNewTask({ due })}
+          />
+        ) : view === "board" ? (
+          <BoardView
+            tasks={filtered}
+            byId={taskById}
+            onMove={moveTask}
+            onOpen={(t) => { setEditing(t); setShowForm(true); }}
+          />
+        ) : (
+        /* List */
         <div className="grid grid-cols-1 gap-3">
           {sorted.length === 0 ? (
             <div className="rounded-2xl border border-dashed p-8 text-center text-slate-500">
-              No tasks found. Create your first task!
+              {ready ? "No tasks found. Create your first task!" : "Loading tasks…"}
             </div>
           ) : null}
 
           {sorted.map((t) => (
-            <div key={t.id} className="group rounded-2xl border bg-white p-4 shadow-sm transition hover:shadow-md">
+            <div
+              key={t.id}
+              data-task-id={t.id}
+              onClick={() => setSelectedId(t.id)}
+              className={`group rounded-2xl border bg-white p-4 shadow-sm transition hover:shadow-md ${t.id === selectedId ? "ring-2 ring-slate-400" : ""}`}
+            >
               <div className="flex flex-wrap items-center justify-between gap-3">
                 <div className="flex min-w-0 items-center gap-3">
+                  <input
+                    type="checkbox"
+                    checked={checked.has(t.id)}
+                    onChange={(e) => toggleChecked(t.id, e.nativeEvent.shiftKey)}
+                    className="h-4 w-4"
+                    aria-label={`Select "${t.title}"`}
+                    title="Select (shift-click for a range)"
+                  />
                   <button
                     onClick={() => toggleDone(t.id)}
-                    className={`inline-flex h-6 w-6 items-center justify-center rounded-full border ${t.status === 'Done' ? 'bg-emerald-600 text-white border-emerald-600' : 'hover:bg-slate-50'}`}
+                    className={`inline-flex h-6 w-6 items-center justify-center rounded-full border ${t.status === 'Done' ? 'bg-emerald-600 text-emerald-50 border-emerald-600' : 'hover:bg-slate-50'}`}
                     title={t.status === 'Done' ? 'Mark as Todo' : 'Mark as Done'}
                   >
                     <CheckCircle2 className="h-4 w-4" />
@@ -314,8 +971,33 @@ export default function TaskPrioritizerApp() {
                     <div className="mt-1 flex flex-wrap items-center gap-2 text-xs text-slate-500">
                       <PriorityBadge p={t.priority} />
                       <StatusBadge s={t.status} />
+                      <BlockedBadge blockers={openBlockers(t, taskById)} />
+                      {(t.tags || []).map((name) => (
+                        <TagChip key={name} name={name} color={tagColor(tagDefs, name)} />
+                      ))}
+                      {projectById.get(t.project) && <ProjectChip project={projectById.get(t.project)} />}
                       {t.due && (
-                        <span className="inline-flex items-center gap-1"><Calendar className="h-3 w-3" /> Due {t.due}</span>
+                        <span className="inline-flex items-center gap-1"><Calendar className="h-3 w-3" /> Due {formatDue(t)}</span>
+                      )}
+                      {isSnoozed(t, now) && (
+                        <span className="inline-flex items-center gap-1"><AlarmClock className="h-3 w-3" /> Snoozed until {new Date(t.snoozedUntil).toLocaleString()}</span>
+                      )}
+                      {t.recurrence && (
+                        <span className="inline-flex items-center gap-1"><Repeat className="h-3 w-3" /> {describeRule(t.recurrence)}</span>
+                      )}
+                      <ProgressBar t={t} />
+                      {t.attachments?.length > 0 && (
+                        <span className="inline-flex items-center gap-1" title={t.attachments.map((a) => a.name).join(", ")}>
+                          <Paperclip className="h-3 w-3" /> {t.attachments.length}
+                        </span>
+                      )}
+                      {(t.estimate || t.timeEntries?.length > 0) && (
+                        <span className={`inline-flex items-center gap-1 ${t.estimate && trackedMs(t, clock) > t.estimate * 3600000 ? "text-red-600" : ""}`}>
+                          <Timer className="h-3 w-3" /> {formatTracked(trackedMs(t, clock))}{t.estimate ? ` / ${t.estimate}h est` : ""}
+                        </span>
+                      )}
+                      {sortBy === "smart" && t.status !== "Done" && (
+                        <ScoreChip t={t} />
                       )}
                       <span className="hidden sm:inline">•</span>
                       <span>Updated {new Date(t.updatedAt).toLocaleString()}</span>
@@ -324,6 +1006,13 @@ export default function TaskPrioritizerApp() {
                 </div>
 
                 <div className="flex items-center gap-2">
+                  <button
+                    onClick={() => toggleTimer(t.id)}
+                    className={`inline-flex items-center gap-1 rounded-xl border px-2.5 py-1.5 text-xs font-medium ${isRunning(t) ? "border-red-200 text-red-600 hover:bg-red-50" : "hover:bg-slate-50"}`}
+                    title={isRunning(t) ? "Stop timer (t)" : "Start timer (t)"}
+                  >
+                    {isRunning(t) ? <Square className="h-4 w-4" /> : <Play className="h-4 w-4" />} {isRunning(t) ? "Stop" : "Start"}
+                  </button>
                   <button
                     onClick={() => { setEditing(t); setShowForm(true); }}
                     className="inline-flex items-center gap-1 rounded-xl border px-2.5 py-1.5 text-xs font-medium hover:bg-slate-50"
@@ -340,37 +1029,162 @@ export default function TaskPrioritizerApp() {
               </div>
 
               {t.notes && (
-                <div className="mt-3 whitespace-pre-wrap text-sm text-slate-700">{t.notes}</div>
+                <MarkdownNotes
+                  text={t.notes}
+                  attachments={t.attachments}
+                  onToggle={(line) => toggleNoteItem(t.id, line)}
+                  className="mt-3"
+                />
+              )}
+
+              {t.subtasks?.length > 0 && (
+                <ul className="mt-3 grid gap-1">
+                  {t.subtasks.map((s) => (
+                    <li key={s.id}>
+                      <label className="inline-flex cursor-pointer items-center gap-2 text-sm">
+                        <input type="checkbox" checked={s.done} onChange={() => toggleSubtask(t.id, s.id)} />
+                        <span className={s.done ? "text-slate-400 line-through" : "text-slate-700"}>{s.title}</span>
+                      </label>
+                    </li>
+                  ))}
+                </ul>
               )}
             </div>
           ))}
         </div>
+        )}
       </main>
 
       {showForm && (
         <TaskForm
           initial={editing || undefined}
-          onClose={() => { setShowForm(false); setEditing(null); }}
+          defaults={formDefaults || undefined}
+          history={editing ? seriesHistory(editing) : []}
+          onClose={() => { setShowForm(false); setEditing(null); setFormDefaults(null); }}
           onSubmit={(data) => upsertTask(data)}
           theme={theme}
+          tagDefs={tagDefs}
+          tagNames={tagList.map((t) => t.name)}
+          projects={projects}
+          liveTask={editing ? tasks.find((t) => t.id === editing.id) : null}
+          allTasks={tasks}
+          clock={clock}
+          onToggleTimer={toggleTimer}
+          onTimeChange={setTimeEntries}
+        />
+      )}
+
+      {showPalette && <CommandPalette commands={paletteCommands()} onClose={() => setShowPalette(false)} />}
+      {showHelp && <ShortcutHelp onClose={() => setShowHelp(false)} />}
+
+      {importPreview && (
+        <ImportWizard
+          fileName={importPreview.fileName}
+          diff={importPreview.diff}
+          viewCount={importPreview.views.length}
+          tagCount={importPreview.tags.length}
+          projectCount={importPreview.projects.length}
+          fileCount={importPreview.files.length}
+          onClose={() => setImportPreview(null)}
+          onApply={applyImportPreview}
+        />
+      )}
+
+      {showTags && (
+        <TagManager
+          tags={tagList}
+          projects={projects}
+          projectCounts={projectCounts}
+          onTagColor={(name, color) => setTagDefs((prev) => setTagDefColor(prev, name, color))}
+          onRenameTag={handleRenameTag}
+          onDeleteTag={handleDeleteTag}
+          onProjectsChange={setProjects}
+          onDeleteProject={handleDeleteProject}
+          onClose={() => setShowTags(false)}
         />
       )}
 
       {showTheme && (
         <ThemeSettings
           theme={theme}
+          customPresets={themePresets}
+          onPresetsChange={setThemePresets}
           onClose={() => setShowTheme(false)}
-          onSave={(t) => { setTheme(t); setShowTheme(false); }}
+          onSave={(t) => { setTheme(normalizeTheme(t)); setShowTheme(false); }}
         />
       )}
 
+      {toast && (
+        <div role="status" className="fixed bottom-4 left-1/2 z-50 flex -translate-x-1/2 items-center gap-3 rounded-2xl bg-slate-900 px-4 py-2.5 text-sm text-white shadow-lg">
+          <span>{toast.message}</span>
+          {toast.undoable && (
+            <button onClick={handleUndo} className="font-semibold text-amber-300 hover:underline">Undo</button>
+          )}
+          <button onClick={() => setToast(null)} className="opacity-70 hover:opacity-100" title="Dismiss">
+            <X className="h-4 w-4" />
+          </button>
+        </div>
+      )}
+
       <footer className="mx-auto max-w-6xl px-4 pb-10 pt-6 text-center text-xs text-slate-500">
-        Data is saved in your browser (localStorage). Use Export to back up.
+        Data is saved in your browser (IndexedDB) and synced across open tabs. Use Export to back up.{" "}
+        <button onClick={() => setShowHelp(true)} className="inline-flex items-center gap-1 hover:underline">
+          <Keyboard className="h-3 w-3" /> Press ? for keyboard shortcuts
+        </button>
       </footer>
     </div>
   );
 }
 
+const QUERY_HELP = [
+  "word \"exact phrase\" -excluded",
+  "priority:High  priority:>=High  priority:!Low",
+  "status:Done  status:!Done  status:in-progress",
+  "due:<7d  due:>=2026-10-01  due:today  due:overdue  due:none",
+  "created:<7d  tag:work  is:open|done|recurring|overdue|blocked",
+  "Prefix any filter with - to exclude it.",
+].join("\n");
+
+const EXPORT_FORMATS = [
+  { value: "json", label: "JSON backup" },
+  { value: "csv", label: "CSV spreadsheet" },
+  { value: "md", label: "Markdown checklist" },
+  { value: "ics", label: "Calendar (.ics)" },
+  { value: "time", label: "Time entries (CSV)" },
+  { value: "zip", label: "Full backup (.zip)" },
+];
+
+function ExportMenu({ onExport }) {
+  const [open, setOpen] = useState(false);
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen((o) => !o)}
+        className="inline-flex items-center gap-2 rounded-2xl border px-3 py-2 text-sm font-medium hover:bg-slate-50"
+        title="Export"
+      >
+        <Download className="h-4 w-4" /> Export <ChevronDown className="h-4 w-4" />
+      </button>
+      {open && (
+        <>
+          <div className="fixed inset-0 z-10" onClick={() => setOpen(false)} />
+          <div className="absolute right-0 z-20 mt-1 w-48 rounded-2xl border bg-white p-1 shadow-lg">
+            {EXPORT_FORMATS.map((f) => (
+              <button
+                key={f.value}
+                onClick={() => { onExport(f.value); setOpen(false); }}
+                className="block w-full rounded-xl px-3 py-2 text-left text-sm hover:bg-slate-50"
+              >
+                {f.label}
+              </button>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
 function StatCard({ label, value, subtitle }) {
   return (
     <div className="rounded-2xl border bg-white p-4 shadow-sm">
@@ -381,7 +1195,18 @@ function StatCard({ label, value, subtitle }) {
   );
 }
 
-function Select({ value, onChange, label, options, icon }) {
+function ScoreChip({ t }) {
+  const { score, parts } = scoreTask(t);
+  const pct = (n) => Math.round(n * 100);
+  const why = `Importance ${pct(parts.importance)}% · Urgency ${pct(parts.urgency)}% · Age ${pct(parts.age)}% · Quick win ${pct(parts.quickWin)}%`;
+  return (
+    <span className="inline-flex items-center gap-1 font-semibold text-slate-600" title={why}>
+      <Zap className="h-3 w-3" /> {score}
+    </span>
+  );
+}
+
+function Select({ value, onChange, label, options, icon, labels }) {
   const cap = (s) => (typeof s === "string" && s.length > 0) ? s.charAt(0).toUpperCase() + s.slice(1) : s;
 
   return (
@@ -400,7 +1225,7 @@ function Select({ value, onChange, label, options, icon }) {
         className="w-full appearance-none rounded-2xl border px-9 py-2 text-sm outline-none ring-slate-200 focus:ring"
       >
         {options.map((opt) => {
-          const labelText = opt === "priority" ? "Sort by priority" : cap(opt);
+          const labelText = labels?.[opt] ?? (opt === "priority" ? "Sort by priority" : cap(opt));
           return <option key={opt} value={opt}>{labelText}</option>;
         })}
       </select>
@@ -409,37 +1234,23 @@ function Select({ value, onChange, label, options, icon }) {
   );
 }
 
-function PriorityBadge({ p }) {
-  const color =
-    p === "Urgent" ? "bg-red-100 text-red-700 border-red-200"
-      : p === "High" ? "bg-orange-100 text-orange-700 border-orange-200"
-      : p === "Normal" ? "bg-blue-100 text-blue-700 border-blue-200"
-      : "bg-slate-100 text-slate-700 border-slate-200";
-  return (
-    <span className={`inline-flex items-center gap-1 rounded-full border px-2 py-0.5 text-xs font-medium ${color}`}>
-      {p}
-    </span>
-  );
-}
-
-function StatusBadge({ s }) {
-  const color =
-    s === "Done" ? "bg-emerald-100 text-emerald-700 border-emerald-200"
-      : s === "In Progress" ? "bg-violet-100 text-violet-700 border-violet-200"
-      : "bg-slate-100 text-slate-700 border-slate-200";
-  return (
-    <span className={`inline-flex items-center gap-1 rounded-full border px-2 py-0.5 text-xs font-medium ${color}`}>
-      {s}
-    </span>
-  );
-}
-
-function TaskForm({ initial, onClose, onSubmit, theme }) {
+function TaskForm({ initial, defaults, history = [], onClose, onSubmit, theme, tagDefs = [], tagNames = [], projects = [], liveTask, allTasks = [], clock, onToggleTimer, onTimeChange }) {
   const [title, setTitle] = useState(initial?.title || "");
   const [notes, setNotes] = useState(initial?.notes || "");
   const [priority, setPriority] = useState(initial?.priority || "Normal");
   const [status, setStatus] = useState(initial?.status || "Todo");
-  const [due, setDue] = useState(initial?.due || "");
+  const [due, setDue] = useState(initial?.due || defaults?.due || "");
+  const [dueTime, setDueTime] = useState(initial?.dueTime || "");
+  const [reminders, setReminders] = useState(initial?.reminders || []);
+  const [subtasks, setSubtasks] = useState(initial?.subtasks || []);
+  const [autoStatus, setAutoStatus] = useState(initial?.autoStatus || false);
+  const [recurrence, setRecurrence] = useState(initial?.recurrence || null);
+  const [estimate, setEstimate] = useState(initial?.estimate ?? "");
+  const [tags, setTags] = useState(initial?.tags || []);
+  const [project, setProject] = useState(initial?.project || "");
+  const [blockedBy, setBlockedBy] = useState(initial?.blockedBy || []);
+  const [attachments, setAttachments] = useState(initial?.attachments || []);
+  const [previewNotes, setPreviewNotes] = useState(false);
 
   function handleSubmit(e) {
     e.preventDefault();
@@ -447,7 +1258,8 @@ function TaskForm({ initial, onClose, onSubmit, theme }) {
       alert("Title is required");
       return;
     }
-    onSubmit({ title, notes, priority, status, due: due || undefined });
+    const cleanSubtasks = subtasks.filter((s) => s.title.trim());
+    onSubmit({ title, notes, priority, status, due: due || undefined, dueTime: (due && dueTime) || null, reminders, subtasks: cleanSubtasks, autoStatus, recurrence, estimate: Number(estimate) || null, tags, project: project || null, blockedBy, attachments });
   }
 
   return (
@@ -475,16 +1287,41 @@ function TaskForm({ initial, onClose, onSubmit, theme }) {
             />
           </div>
           <div>
-            <label className="mb-1 block text-xs font-medium">Notes</label>
-            <textarea
-              value={notes}
-              onChange={(e) => setNotes(e.target.value)}
-              placeholder="Details, links, checklists..."
-              rows={6}
-              className="w-full rounded-2xl border px-3 py-2 text-sm outline-none ring-slate-200 focus:ring"
-            />
+            <div className="mb-1 flex items-center justify-between">
+              <label className="block text-xs font-medium">Notes</label>
+              <button
+                type="button"
+                onClick={() => setPreviewNotes((v) => !v)}
+                aria-pressed={previewNotes}
+                className="inline-flex items-center gap-1 text-xs text-slate-500 hover:underline"
+              >
+                {previewNotes ? <><Pencil className="h-3 w-3" /> Write</> : <><Eye className="h-3 w-3" /> Preview</>}
+              </button>
+            </div>
+            {previewNotes ? (
+              <div className="min-h-[9.5rem] rounded-2xl border px-3 py-2">
+                {notes.trim()
+                  ? <MarkdownNotes text={notes} attachments={attachments} onToggle={(line) => setNotes((n) => toggleTaskLine(n, line))} />
+                  : <p className="text-sm text-slate-400">Nothing to preview.</p>}
+              </div>
+            ) : (
+              <textarea
+                value={notes}
+                onChange={(e) => setNotes(e.target.value)}
+                placeholder="Details, links, checklists... Markdown works: **bold**, [link](https://…), - [ ] item, ``` code ```"
+                rows={6}
+                className="w-full rounded-2xl border px-3 py-2 font-mono text-sm outline-none ring-slate-200 focus:ring"
+              />
+            )}
           </div>
 
+          <AttachmentList
+            value={attachments}
+            onChange={setAttachments}
+            onInsert={(md) => setNotes((n) => (n && !n.endsWith("\n") ? `${n}\n${md}` : `${n}${md}`))}
+            tasks={allTasks}
+          />
+
           <div className="grid grid-cols-2 gap-3">
             <div className="relative">
               <label className="mb-1 block text-xs font-medium">Priority</label>
@@ -510,16 +1347,96 @@ function TaskForm({ initial, onClose, onSubmit, theme }) {
             </div>
           </div>
 
-          <div>
-            <label className="mb-1 block text-xs font-medium">Due date</label>
-            <input
-              type="date"
-              value={due}
-              onChange={(e) => setDue(e.target.value)}
-              className="w-full rounded-2xl border px-3 py-2 text-sm outline-none ring-slate-200 focus:ring"
-            />
+          <ChecklistEditor
+            items={subtasks}
+            onChange={setSubtasks}
+            autoStatus={autoStatus}
+            onAutoStatusChange={setAutoStatus}
+          />
+
+          <div className="grid grid-cols-3 gap-3">
+            <div>
+              <label className="mb-1 block text-xs font-medium">Due date</label>
+              <input
+                type="date"
+                value={due}
+                onChange={(e) => setDue(e.target.value)}
+                className="w-full rounded-2xl border px-3 py-2 text-sm outline-none ring-slate-200 focus:ring"
+              />
+            </div>
+            <div>
+              <label className="mb-1 block text-xs font-medium">Time</label>
+              <input
+                type="time"
+                value={dueTime}
+                onChange={(e) => setDueTime(e.target.value)}
+                disabled={!due}
+                className="w-full rounded-2xl border px-3 py-2 text-sm outline-none ring-slate-200 focus:ring disabled:opacity-50"
+              />
+            </div>
+            <div>
+              <label className="mb-1 block text-xs font-medium">Estimate (hours)</label>
+              <input
+                type="number"
+                min={0}
+                step={0.25}
+                value={estimate}
+                onChange={(e) => setEstimate(e.target.value)}
+                placeholder="Optional"
+                className="w-full rounded-2xl border px-3 py-2 text-sm outline-none ring-slate-200 focus:ring"
+              />
+            </div>
           </div>
 
+          <div className="grid grid-cols-3 gap-3">
+            <div className="col-span-2">
+              <label className="mb-1 block text-xs font-medium">Tags</label>
+              <TagInput value={tags} onChange={setTags} defs={tagDefs} suggestions={tagNames} />
+            </div>
+            <div>
+              <label className="mb-1 block text-xs font-medium">Project</label>
+              <select
+                value={project}
+                onChange={(e) => setProject(e.target.value)}
+                className="w-full rounded-2xl border px-3 py-2 text-sm outline-none ring-slate-200 focus:ring"
+              >
+                <option value="">None</option>
+                {projects.map((p) => <option key={p.id} value={p.id}>{p.name}</option>)}
+              </select>
+            </div>
+          </div>
+
+          <BlockedByEditor value={blockedBy} onChange={setBlockedBy} taskId={initial?.id} tasks={allTasks} />
+
+          {due && <ReminderEditor reminders={reminders} onChange={setReminders} hasTime={Boolean(dueTime)} />}
+
+          <RecurrenceEditor rule={recurrence} onChange={setRecurrence} due={due} />
+
+          {history.length > 0 && (
+            <div>
+              <label className="mb-1 block text-xs font-medium">Completed occurrences</label>
+              <ul className="grid gap-1 text-xs text-slate-500">
+                {history.map((h) => (
+                  <li key={h.id} className="flex items-center gap-2">
+                    <CheckCircle2 className="h-3 w-3 text-emerald-600" />
+                    {h.due ? `Due ${h.due}` : "No due date"} · completed {new Date(h.updatedAt).toLocaleDateString()}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {liveTask && (
+            <TimeLog
+              task={liveTask}
+              now={clock}
+              onToggleTimer={() => onToggleTimer(liveTask.id)}
+              onChange={(label, entries) => onTimeChange(liveTask.id, label, entries)}
+            />
+          )}
+
+          {initial?.activity?.length > 0 && <ActivityTimeline activity={initial.activity} projects={projects} />}
+
           <div className="mt-auto flex justify-end gap-2 border-t pt-3">
             <button type="button" onClick={onClose} className="rounded-2xl border px-4 py-2 text-sm hover:bg-slate-50">
               Cancel
@@ -534,59 +1451,235 @@ function TaskForm({ initial, onClose, onSubmit, theme }) {
   );
 }
 
-// Theme settings modal
-function ThemeSettings({ theme, onClose, onSave }) {
-  const [accent, setAccent] = useState(theme.accent || DEFAULT_THEME.accent);
-  const [font, setFont] = useState(theme.font || DEFAULT_THEME.font);
-  const [bgFrom, setBgFrom] = useState(theme.bgFrom || DEFAULT_THEME.bgFrom);
-  const [bgTo, setBgTo] = useState(theme.bgTo || DEFAULT_THEME.bgTo);
+function ChecklistEditor({ items, onChange, autoStatus, onAutoStatusChange }) {
+  const [draft, setDraft] = useState("");
 
-  function handleSave() {
-    onSave({ accent, font, bgFrom, bgTo });
+  function add() {
+    if (!draft.trim()) return;
+    onChange([...items, { id: uid(), title: draft.trim(), done: false }]);
+    setDraft("");
   }
 
-  function handleResetToDefault() {
-    // apply default immediately and persist
-    onSave(DEFAULT_THEME);
+  function update(id, patch) {
+    onChange(items.map((s) => (s.id === id ? { ...s, ...patch } : s)));
   }
 
   return (
-    <div className="fixed inset-0 z-50 flex items-center justify-center">
-      <div className="absolute inset-0 bg-black/30" onClick={onClose} />
-      <div className="relative max-w-md rounded-2xl border bg-white p-4 shadow-xl">
-        <h3 className="mb-2 text-sm font-semibold">Appearance</h3>
-        <div className="mb-3 grid gap-3">
-          <div>
-            <label className="block text-xs font-medium">Accent color</label>
-            <input type="color" value={accent} onChange={(e)=>setAccent(e.target.value)} className="mt-1 h-9 w-12 rounded-md border" />
-          </div>
-          <div>
-            <label className="block text-xs font-medium">Primary font</label>
-            <select value={font} onChange={(e)=>setFont(e.target.value)} className="mt-1 w-full rounded-2xl border px-3 py-2 text-sm">
-              <option value={'Inter, ui-sans-serif, system-ui, -apple-system, "Segoe UI", Roboto'}>Inter / System Sans</option>
-              <option value={'"Segoe UI", Tahoma, Geneva, Verdana, sans-serif'}>Segoe UI / Tahoma</option>
-              <option value={'Roboto, "Helvetica Neue", Arial, sans-serif'}>Roboto / Helvetica</option>
-              <option value={'Georgia, serif'}>Georgia</option>
-              <option value={'"Courier New", Courier, monospace'}>Courier New</option>
-            </select>
-          </div>
-          <div>
-            <label className="block text-xs font-medium">Background gradient (from)</label>
-            <input type="color" value={bgFrom} onChange={(e)=>setBgFrom(e.target.value)} className="mt-1 h-9 w-12 rounded-md border" />
-          </div>
-          <div>
-            <label className="block text-xs font-medium">Background gradient (to)</label>
-            <input type="color" value={bgTo} onChange={(e)=>setBgTo(e.target.value)} className="mt-1 h-9 w-12 rounded-md border" />
+    <div>
+      <label className="mb-1 block text-xs font-medium">Checklist</label>
+      <div className="grid gap-2">
+        {items.map((s) => (
+          <div key={s.id} className="flex items-center gap-2">
+            <input type="checkbox" checked={s.done} onChange={(e) => update(s.id, { done: e.target.checked })} />
+            <input
+              value={s.title}
+              onChange={(e) => update(s.id, { title: e.target.value })}
+              className="flex-1 rounded-xl border px-2 py-1 text-sm outline-none ring-slate-200 focus:ring"
+            />
+            <button type="button" onClick={() => onChange(items.filter((x) => x.id !== s.id))} className="rounded-xl border p-1.5 hover:bg-slate-50" title="Remove item">
+              <X className="h-4 w-4" />
+            </button>
           </div>
+        ))}
+        <div className="flex items-center gap-2">
+          <input
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            onKeyDown={(e) => { if (e.key === "Enter") { e.preventDefault(); add(); } }}
+            placeholder="Add a checklist item..."
+            className="flex-1 rounded-xl border px-2 py-1 text-sm outline-none ring-slate-200 focus:ring"
+          />
+          <button type="button" onClick={add} className="rounded-xl border p-1.5 hover:bg-slate-50" title="Add item">
+            <Plus className="h-4 w-4" />
+          </button>
         </div>
-        <div className="mt-4 flex justify-end gap-2">
-          <button onClick={onClose} className="rounded-2xl border px-4 py-2 text-sm hover:bg-slate-50">Cancel</button>
-          <button onClick={handleResetToDefault} className="rounded-2xl border px-4 py-2 text-sm hover:bg-slate-50">Reset to default</button>
-          <button onClick={handleSave} className="inline-flex items-center gap-2 rounded-2xl bg-slate-900 px-4 py-2 text-sm font-semibold text-white hover:bg-slate-800">
-            <Save className="h-4 w-4" /> Save
+      </div>
+      <label className="mt-2 inline-flex items-center gap-2 text-xs text-slate-600">
+        <input type="checkbox" checked={autoStatus} onChange={(e) => onAutoStatusChange(e.target.checked)} />
+        Update status automatically as items are completed
+      </label>
+    </div>
+  );
+}
+
+// "Blocked by" picker: search other tasks by title and add them as
+// blockers. Links that would close a loop are refused.
+function BlockedByEditor({ value, onChange, taskId, tasks }) {
+  const [search, setSearch] = useState("");
+  const byId = taskIndex(tasks);
+  const needle = search.trim().toLowerCase();
+  const matches = needle
+    ? tasks.filter((t) => t.id !== taskId && !value.includes(t.id) && t.title.toLowerCase().includes(needle)).slice(0, 8)
+    : [];
+
+  function add(t) {
+    const next = [...value, t.id];
+    const cycle = taskId && findCycle(tasks, taskId, next);
+    if (cycle) {
+      alert(`Waiting on "${t.title}" would make a loop (each task waits on the next):\n${cycle.map((c) => c.title).join(" → ")}`);
+      return;
+    }
+    onChange(next);
+    setSearch("");
+  }
+
+  return (
+    <div>
+      <label className="mb-1 block text-xs font-medium">Blocked by</label>
+      {value.length > 0 && (
+        <ul className="mb-2 grid gap-1">
+          {value.map((id) => {
+            const t = byId.get(id);
+            return (
+              <li key={id} className="flex items-center gap-2 text-sm">
+                <CheckCircle2 className={`h-4 w-4 ${t?.status === "Done" ? "text-emerald-600" : "text-slate-300"}`} />
+                <span className={`min-w-0 flex-1 truncate ${t?.status === "Done" ? "text-slate-400 line-through" : ""}`}>
+                  {t ? t.title : "Deleted task"}
+                </span>
+                <button type="button" onClick={() => onChange(value.filter((x) => x !== id))} className="text-slate-400 hover:text-red-600" title="Remove">
+                  <X className="h-4 w-4" />
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+      <div className="relative">
+        <input
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === "Enter") {
+              e.preventDefault();
+              if (matches[0]) add(matches[0]);
+            }
+          }}
+          placeholder="Search tasks to wait on…"
+          className="w-full rounded-2xl border px-3 py-2 text-sm outline-none ring-slate-200 focus:ring"
+        />
+        {matches.length > 0 && (
+          <ul className="absolute z-10 mt-1 w-full overflow-hidden rounded-2xl border bg-white shadow-lg">
+            {matches.map((t) => (
+              <li key={t.id}>
+                <button type="button" onClick={() => add(t)} className="flex w-full items-center justify-between gap-2 px-3 py-2 text-left text-sm hover:bg-slate-50">
+                  <span className="truncate">{t.title}</span>
+                  <span className="shrink-0 text-xs text-slate-500">{t.status}</span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Reminder offsets as toggles: the presets plus anything else the task
+// already has (e.g. from an import).
+function ReminderEditor({ reminders, onChange, hasTime }) {
+  const options = [...REMINDER_PRESETS, ...reminders.filter((r) => !REMINDER_PRESETS.some((p) => sameReminder(p, r)))];
+  const isOn = (r) => reminders.some((x) => sameReminder(x, r));
+  return (
+    <div>
+      <label className="mb-1 block text-xs font-medium">Reminders</label>
+      <div className="flex flex-wrap gap-1.5">
+        {options.map((r) => (
+          <button
+            key={describeReminder(r)}
+            type="button"
+            onClick={() => onChange(isOn(r) ? reminders.filter((x) => !sameReminder(x, r)) : [...reminders, r])}
+            aria-pressed={isOn(r)}
+            className={`rounded-xl border px-2.5 py-1 text-xs ${isOn(r) ? "border-slate-900 bg-slate-900 text-white" : "hover:bg-slate-50"}`}
+          >
+            {describeReminder(r)}
           </button>
+        ))}
+      </div>
+      {!hasTime && <p className="mt-1 text-xs text-slate-500">Without a time, "before" reminders count from 9:00 on the due date.</p>}
+    </div>
+  );
+}
+
+const FREQ_LABELS = { daily: "Daily", weekly: "Weekly", monthly: "Monthly", after: "After completion" };
+
+function RecurrenceEditor({ rule, onChange, due }) {
+  const dueDate = due ? new Date(`${due}T00:00:00Z`) : null;
+
+  function setFreq(freq) {
+    if (!freq) return onChange(null);
+    const next = { freq, interval: rule?.interval || 1 };
+    if (freq === "weekly") next.weekdays = dueDate ? [dueDate.getUTCDay()] : [1];
+    if (freq === "monthly") next.monthDay = dueDate ? dueDate.getUTCDate() : 1;
+    onChange(next);
+  }
+
+  function toggleWeekday(d) {
+    const days = rule.weekdays || [];
+    const next = days.includes(d) ? days.filter((x) => x !== d) : [...days, d].sort();
+    if (next.length) onChange({ ...rule, weekdays: next });
+  }
+
+  return (
+    <div>
+      <label className="mb-1 block text-xs font-medium">Repeat</label>
+      <div className="grid grid-cols-2 gap-3">
+        <div className="relative">
+          <select
+            value={rule?.freq || ""}
+            onChange={(e) => setFreq(e.target.value)}
+            className="w-full appearance-none rounded-2xl border px-3 py-2 text-sm outline-none ring-slate-200 focus:ring"
+          >
+            <option value="">Does not repeat</option>
+            {FREQS.map((f) => <option key={f} value={f}>{FREQ_LABELS[f]}</option>)}
+          </select>
+          <ChevronDown className="pointer-events-none absolute right-3 top-3 h-4 w-4 text-slate-400" />
         </div>
+        {rule && (
+          <label className="inline-flex items-center gap-2 text-sm">
+            Every
+            <input
+              type="number"
+              min={1}
+              max={365}
+              value={rule.interval}
+              onChange={(e) => onChange({ ...rule, interval: Math.max(1, parseInt(e.target.value, 10) || 1) })}
+              className="w-16 rounded-xl border px-2 py-1 text-sm outline-none ring-slate-200 focus:ring"
+            />
+            {rule.freq === "weekly" ? "week(s)" : rule.freq === "monthly" ? "month(s)" : "day(s)"}
+          </label>
+        )}
       </div>
+      {rule?.freq === "weekly" && (
+        <div className="mt-2 flex flex-wrap gap-1">
+          {WEEKDAY_NAMES.map((name, d) => (
+            <button
+              key={name}
+              type="button"
+              onClick={() => toggleWeekday(d)}
+              className={`rounded-xl border px-2 py-1 text-xs ${rule.weekdays?.includes(d) ? "bg-slate-900 text-white" : "hover:bg-slate-50"}`}
+            >
+              {name}
+            </button>
+          ))}
+          <button type="button" onClick={() => onChange({ ...rule, weekdays: [1, 2, 3, 4, 5] })} className="rounded-xl border px-2 py-1 text-xs hover:bg-slate-50">
+            Weekdays
+          </button>
+        </div>
+      )}
+      {rule?.freq === "monthly" && (
+        <label className="mt-2 inline-flex items-center gap-2 text-sm">
+          On day
+          <input
+            type="number"
+            min={1}
+            max={31}
+            value={rule.monthDay || 1}
+            onChange={(e) => onChange({ ...rule, monthDay: Math.max(1, Math.min(31, parseInt(e.target.value, 10) || 1)) })}
+            className="w-16 rounded-xl border px-2 py-1 text-sm outline-none ring-slate-200 focus:ring"
+          />
+        </label>
+      )}
+      {rule && <p className="mt-1 text-xs text-slate-500">{describeRule(rule)}. Completing it schedules the next one.</p>}
     </div>
   );
 }
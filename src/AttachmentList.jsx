@@ -0,0 +1,121 @@
+import React, { useEffect, useState } from "react";
+import { Download, FileText, Paperclip, Trash2 } from "lucide-react";
+import { ATTACHMENT_QUOTA_BYTES, MAX_ATTACHMENT_BYTES, formatBytes, freeUnused, isImage, saveAttachments, storageUsage } from "./attachments";
+import { useAttachmentUrl } from "./useAttachmentUrl";
+
+// Attachments section of the task form. Picked files are stored right away
+// and `value` (the task's attachment list) changes with the rest of the
+// form; onInsert adds a Markdown link or image to the notes.
+export default function AttachmentList({ value, onChange, onInsert, tasks }) {
+  const [usage, setUsage] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  // files picked in this form aren't on any saved task yet
+  const pending = [{ attachments: value }];
+
+  function refreshUsage() {
+    storageUsage([...tasks, ...pending]).then(setUsage).catch(() => setUsage(null));
+  }
+
+  useEffect(() => { refreshUsage(); }, [tasks, value]);
+
+  async function pick(fileList) {
+    if (!fileList.length) return;
+    setBusy(true);
+    try {
+      const added = await saveAttachments(fileList, [...tasks, ...pending]);
+      onChange([...value, ...added]);
+    } catch (e) {
+      alert("Could not attach: " + e.message);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function free() {
+    const n = await freeUnused([...tasks, ...pending]);
+    refreshUsage();
+    alert(`Removed ${n} unused file${n === 1 ? "" : "s"}.`);
+  }
+
+  return (
+    <div>
+      <div className="mb-1 flex items-center justify-between gap-2">
+        <label className="block text-xs font-medium">Attachments</label>
+        {usage && (
+          <span className="text-xs text-slate-500">
+            {formatBytes(usage.used)} of {formatBytes(ATTACHMENT_QUOTA_BYTES)} used
+            {usage.unusedBytes > 0 && (
+              <>
+                {" · "}
+                <button
+                  type="button"
+                  onClick={free}
+                  className="hover:underline"
+                  title="Delete files no longer attached to any task (removing an attachment keeps its file so undo works)"
+                >
+                  free {formatBytes(usage.unusedBytes)}
+                </button>
+              </>
+            )}
+          </span>
+        )}
+      </div>
+
+      {value.length > 0 && (
+        <ul className="mb-2 grid gap-1">
+          {value.map((a) => (
+            <AttachmentRow
+              key={a.id}
+              attachment={a}
+              onInsert={() => onInsert(`${isImage(a) ? "!" : ""}[${a.name.replace(/[[\]]/g, "")}](attachment:${a.id})`)}
+              onRemove={() => onChange(value.filter((x) => x.id !== a.id))}
+            />
+          ))}
+        </ul>
+      )}
+
+      <label className={`inline-flex cursor-pointer items-center gap-2 rounded-2xl border border-dashed px-3 py-1.5 text-sm text-slate-500 hover:bg-slate-50 ${busy ? "opacity-50" : ""}`}>
+        <Paperclip className="h-4 w-4" /> {busy ? "Saving…" : "Attach files"}
+        <input
+          type="file"
+          multiple
+          disabled={busy}
+          className="hidden"
+          onChange={(e) => {
+            pick([...e.target.files]); // copy: clearing the input empties its FileList
+            e.target.value = "";
+          }}
+        />
+        <span className="text-xs">up to {formatBytes(MAX_ATTACHMENT_BYTES)} each</span>
+      </label>
+    </div>
+  );
+}
+
+function AttachmentRow({ attachment: a, onInsert, onRemove }) {
+  const url = useAttachmentUrl(a.id);
+  return (
+    <li className="flex items-center gap-2 text-sm">
+      {isImage(a) && url ? (
+        <img src={url} alt="" className="h-8 w-8 rounded-lg border object-cover" />
+      ) : (
+        <span className="flex h-8 w-8 items-center justify-center rounded-lg border text-slate-400"><FileText className="h-4 w-4" /></span>
+      )}
+      <span className="min-w-0 flex-1 truncate">
+        {a.name} <span className="text-xs text-slate-500">{formatBytes(a.size)}{url === null ? " · file missing in this browser" : ""}</span>
+      </span>
+      <button type="button" onClick={onInsert} className="text-xs text-slate-500 hover:underline" title="Add a link to this file to the notes">
+        Insert in notes
+      </button>
+      {url && (
+        <a href={url} download={a.name} className="text-slate-400 hover:text-slate-700" title="Download">
+          <Download className="h-4 w-4" />
+        </a>
+      )}
+      <button type="button" onClick={onRemove} className="text-slate-400 hover:text-red-600" title="Remove">
+        <Trash2 className="h-4 w-4" />
+      </button>
+    </li>
+  );
+}
@@ -0,0 +1,57 @@
+import React from "react";
+import { Lock } from "lucide-react";
+import { progress } from "./taskModel";
+
+export const PRIORITY_COLORS = {
+  Urgent: "bg-red-100 text-red-700 border-red-200",
+  High: "bg-orange-100 text-orange-700 border-orange-200",
+  Normal: "bg-blue-100 text-blue-700 border-blue-200",
+  Low: "bg-slate-100 text-slate-700 border-slate-200",
+};
+
+export function PriorityBadge({ p }) {
+  const color = PRIORITY_COLORS[p] || PRIORITY_COLORS.Low;
+  return (
+    <span className={`inline-flex items-center gap-1 rounded-full border px-2 py-0.5 text-xs font-medium ${color}`}>
+      {p}
+    </span>
+  );
+}
+
+export function StatusBadge({ s }) {
+  const color =
+    s === "Done" ? "bg-emerald-100 text-emerald-700 border-emerald-200"
+      : s === "In Progress" ? "bg-violet-100 text-violet-700 border-violet-200"
+      : "bg-slate-100 text-slate-700 border-slate-200";
+  return (
+    <span className={`inline-flex items-center gap-1 rounded-full border px-2 py-0.5 text-xs font-medium ${color}`}>
+      {s}
+    </span>
+  );
+}
+
+export function ProgressBar({ t }) {
+  const { done, total } = progress(t);
+  if (total === 0) return null;
+  return (
+    <span className="inline-flex items-center gap-1.5" title={`${done} of ${total} checklist items done`}>
+      <span className="h-1.5 w-16 overflow-hidden rounded-full bg-slate-200">
+        <span className="block h-full bg-emerald-500" style={{ width: `${(done / total) * 100}%` }} />
+      </span>
+      {done}/{total}
+    </span>
+  );
+}
+
+// `blockers` are the open tasks this one waits on (see openBlockers).
+export function BlockedBadge({ blockers }) {
+  if (blockers.length === 0) return null;
+  return (
+    <span
+      className="inline-flex items-center gap-1 rounded-full border border-amber-200 bg-amber-100 px-2 py-0.5 text-xs font-medium text-amber-800"
+      title={`Waiting on: ${blockers.map((b) => b.title).join(", ")}`}
+    >
+      <Lock className="h-3 w-3" /> Blocked{blockers.length > 1 ? ` by ${blockers.length}` : ""}
+    </span>
+  );
+}
@@ -0,0 +1,147 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { Calendar } from "lucide-react";
+import { STATUS_ORDER, placeInColumn } from "./taskModel";
+import { BlockedBadge, PriorityBadge, ProgressBar } from "./Badges";
+import { openBlockers } from "./dependencies";
+
+const STATUSES = Object.keys(STATUS_ORDER);
+
+function byOrder(a, b) {
+  return (a.order ?? 0) - (b.order ?? 0);
+}
+
+// Kanban board: one column per status. Cards move by drag and drop, or with
+// the keyboard: focus a card, arrows Left/Right change column, Up/Down
+// reorder, Enter opens it. `byId` indexes all tasks, for blocked badges.
+export default function BoardView({ tasks, byId, onMove, onOpen }) {
+  const columns = useMemo(() => {
+    const cols = Object.fromEntries(STATUSES.map((s) => [s, []]));
+    tasks.forEach((t) => cols[t.status]?.push(t));
+    STATUSES.forEach((s) => cols[s].sort(byOrder));
+    return cols;
+  }, [tasks]);
+
+  const [dragId, setDragId] = useState(null);
+  const [dropAt, setDropAt] = useState(null); // { status, index }
+  const [focusId, setFocusId] = useState(null);
+  const cardRefs = useRef({});
+
+  // keep keyboard focus on a card after it moves (it remounts in a new column)
+  useEffect(() => {
+    if (!focusId) return;
+    cardRefs.current[focusId]?.focus();
+    setFocusId(null);
+  }, [focusId, columns]);
+
+  // Place task `id` at `index` of `status`, computed without the task itself.
+  function moveTo(id, status, index) {
+    const { order, others } = placeInColumn(columns[status].filter((t) => t.id !== id), index);
+    onMove(id, { status, order }, others);
+  }
+
+  function handleDrop(e, status) {
+    e.preventDefault();
+    const id = e.dataTransfer.getData("text/plain") || dragId;
+    if (id && dropAt) moveTo(id, status, dropAt.index);
+    setDragId(null);
+    setDropAt(null);
+  }
+
+  function handleCardDragOver(e, status, index) {
+    e.preventDefault();
+    e.stopPropagation();
+    const rect = e.currentTarget.getBoundingClientRect();
+    const after = e.clientY > rect.top + rect.height / 2;
+    // indices are in the column without the dragged card
+    const without = columns[status].filter((t) => t.id !== dragId);
+    const target = columns[status][index];
+    const base = without.findIndex((t) => t.id === target.id);
+    setDropAt({ status, index: base === -1 ? without.length : base + (after ? 1 : 0) });
+  }
+
+  function handleKeyDown(e, t) {
+    const col = columns[t.status];
+    const index = col.findIndex((x) => x.id === t.id);
+    const si = STATUSES.indexOf(t.status);
+    let handled = true;
+    if (e.key === "ArrowLeft" && si > 0) moveTo(t.id, STATUSES[si - 1], Math.min(index, columns[STATUSES[si - 1]].length));
+    else if (e.key === "ArrowRight" && si < STATUSES.length - 1) moveTo(t.id, STATUSES[si + 1], Math.min(index, columns[STATUSES[si + 1]].length));
+    else if (e.key === "ArrowUp" && index > 0) moveTo(t.id, t.status, index - 1);
+    else if (e.key === "ArrowDown" && index < col.length - 1) moveTo(t.id, t.status, index + 1);
+    else if (e.key === "Enter") onOpen(t);
+    else handled = false;
+    if (handled) {
+      e.preventDefault();
+      setFocusId(t.id);
+    }
+  }
+
+  return (
+    <div className="grid grid-cols-1 gap-3 md:grid-cols-3">
+      {STATUSES.map((status) => {
+        const col = columns[status];
+        const visible = col.filter((t) => t.id !== dragId);
+        return (
+          <section
+            key={status}
+            aria-label={status}
+            onDragOver={(e) => {
+              e.preventDefault();
+              if (dropAt?.status !== status) setDropAt({ status, index: visible.length });
+            }}
+            onDrop={(e) => handleDrop(e, status)}
+            className={`flex min-h-[12rem] flex-col rounded-2xl border bg-slate-50/70 p-2 ${dropAt?.status === status ? "ring-2 ring-slate-300" : ""}`}
+          >
+            <h2 className="mb-2 flex items-center justify-between px-1 text-xs font-semibold uppercase tracking-wide text-slate-500">
+              {status} <span className="rounded-full bg-white px-2 py-0.5 text-slate-400">{col.length}</span>
+            </h2>
+            <ul className="flex flex-1 flex-col gap-2">
+              {col.map((t, i) => {
+                const showMarker = dropAt?.status === status && dragId && dragId !== t.id &&
+                  visible.indexOf(t) === dropAt.index;
+                return (
+                  <li key={t.id}>
+                    {showMarker && <div className="mb-2 h-0.5 rounded bg-slate-400" />}
+                    <div
+                      ref={(el) => { cardRefs.current[t.id] = el; }}
+                      tabIndex={0}
+                      draggable
+                      onDragStart={(e) => {
+                        e.dataTransfer.setData("text/plain", t.id);
+                        e.dataTransfer.effectAllowed = "move";
+                        setDragId(t.id);
+                      }}
+                      onDragEnd={() => { setDragId(null); setDropAt(null); }}
+                      onDragOver={(e) => handleCardDragOver(e, status, i)}
+                      onKeyDown={(e) => handleKeyDown(e, t)}
+                      onDoubleClick={() => onOpen(t)}
+                      aria-roledescription="Draggable task"
+                      aria-label={`${t.title}, ${t.priority}. Arrow keys move, Enter opens.`}
+                      className={`cursor-grab rounded-2xl border bg-white p-3 shadow-sm outline-none ring-slate-400 transition hover:shadow-md focus:ring-2 ${dragId === t.id ? "opacity-40" : ""}`}
+                    >
+                      <div className={`text-sm font-semibold ${t.status === "Done" ? "text-slate-400 line-through" : ""}`}>{t.title}</div>
+                      <div className="mt-2 flex flex-wrap items-center gap-2 text-xs text-slate-500">
+                        <PriorityBadge p={t.priority} />
+                        <BlockedBadge blockers={openBlockers(t, byId)} />
+                        {t.due && (
+                          <span className="inline-flex items-center gap-1"><Calendar className="h-3 w-3" /> {t.due}</span>
+                        )}
+                        <ProgressBar t={t} />
+                      </div>
+                    </div>
+                  </li>
+                );
+              })}
+              {dropAt?.status === status && dragId && dropAt.index === visible.length && (
+                <li><div className="h-0.5 rounded bg-slate-400" /></li>
+              )}
+              {col.length === 0 && (
+                <li className="rounded-2xl border border-dashed p-4 text-center text-xs text-slate-400">Drop tasks here</li>
+              )}
+            </ul>
+          </section>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,82 @@
+import React, { useState } from "react";
+import { CalendarClock, Download, Tag, Trash2, X } from "lucide-react";
+import { normalizeTagName } from "./taskModel";
+
+const FORMATS = [["json", "JSON"], ["csv", "CSV"], ["md", "Markdown"], ["ics", "Calendar"], ["time", "Time log"], ["zip", "Zip backup"]];
+
+// Actions for the checked tasks. Each one is a single undoable change.
+export default function BulkBar({
+  count, matchingCount, onSelectAll, onClear, tagNames, checkedTagNames,
+  onPriority, onStatus, onShiftDue, onAddTag, onRemoveTag, onDelete, onExport,
+}) {
+  const [days, setDays] = useState(1);
+  const [newTag, setNewTag] = useState("");
+
+  function addTag(e) {
+    e.preventDefault();
+    const name = normalizeTagName(newTag);
+    if (!name) return;
+    onAddTag(name);
+    setNewTag("");
+  }
+
+  const field = "rounded-xl border bg-white px-2 py-1 text-xs";
+
+  return (
+    <div className="sticky top-16 z-[5] mb-3 flex flex-wrap items-center gap-2 rounded-2xl border border-slate-900 bg-slate-50 px-3 py-2 text-xs shadow-sm">
+      <span className="font-semibold">{count} selected</span>
+      {matchingCount > count && (
+        <button onClick={onSelectAll} className="text-slate-600 underline hover:text-slate-900">
+          Select all {matchingCount} matching
+        </button>
+      )}
+      <button onClick={onClear} className="inline-flex items-center gap-0.5 text-slate-500 hover:text-slate-900" title="Clear selection">
+        <X className="h-3.5 w-3.5" /> Clear
+      </button>
+      <span className="mx-1 h-4 border-l" />
+
+      <select value="" onChange={(e) => e.target.value && onPriority(e.target.value)} className={field} aria-label="Set priority">
+        <option value="">Priority…</option>
+        {["Urgent", "High", "Normal", "Low"].map((p) => <option key={p}>{p}</option>)}
+      </select>
+      <select value="" onChange={(e) => e.target.value && onStatus(e.target.value)} className={field} aria-label="Set status">
+        <option value="">Status…</option>
+        {["Todo", "In Progress", "Done"].map((s) => <option key={s}>{s}</option>)}
+      </select>
+
+      <form onSubmit={(e) => { e.preventDefault(); if (Number(days)) onShiftDue(Number(days)); }} className="inline-flex items-center gap-1">
+        <CalendarClock className="h-3.5 w-3.5 text-slate-400" />
+        <input type="number" value={days} onChange={(e) => setDays(e.target.value)} className={`${field} w-14`} aria-label="Days to shift due dates" />
+        <button type="submit" className={`${field} hover:bg-slate-100`} title="Shift due dates by this many days (negative moves them earlier)">Shift due</button>
+      </form>
+
+      <form onSubmit={addTag} className="inline-flex items-center gap-1">
+        <Tag className="h-3.5 w-3.5 text-slate-400" />
+        <input value={newTag} onChange={(e) => setNewTag(e.target.value)} list="bulk-tag-suggestions" placeholder="tag" className={`${field} w-24`} aria-label="Tag to add" />
+        <datalist id="bulk-tag-suggestions">
+          {tagNames.map((n) => <option key={n} value={n} />)}
+        </datalist>
+        <button type="submit" className={`${field} hover:bg-slate-100`}>Add tag</button>
+      </form>
+      {checkedTagNames.length > 0 && (
+        <select value="" onChange={(e) => e.target.value && onRemoveTag(e.target.value)} className={field} aria-label="Remove tag">
+          <option value="">Remove tag…</option>
+          {checkedTagNames.map((n) => <option key={n} value={n}>#{n}</option>)}
+        </select>
+      )}
+
+      <div className="ml-auto flex items-center gap-1">
+        <label className="relative inline-flex items-center gap-1 rounded-xl border bg-white px-2 py-1 hover:bg-slate-100">
+          <Download className="h-3.5 w-3.5" /> Export
+          <select value="" onChange={(e) => e.target.value && onExport(e.target.value)} className="absolute inset-0 cursor-pointer opacity-0" aria-label="Export selection">
+            <option value="">Export…</option>
+            {FORMATS.map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+          </select>
+        </label>
+        <button onClick={onDelete} className="inline-flex items-center gap-1 rounded-xl border bg-white px-2 py-1 text-red-600 hover:bg-red-50">
+          <Trash2 className="h-3.5 w-3.5" /> Delete
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,174 @@
+import React, { useMemo, useState } from "react";
+import { ChevronLeft, ChevronRight } from "lucide-react";
+import { PRIORITY_ORDER } from "./taskModel";
+import { PRIORITY_COLORS } from "./Badges";
+import { addDays, parseYMD, todayYMD, weekday } from "./dates";
+import { WEEKDAY_NAMES } from "./recurrence";
+
+const MONTH_FMT = { month: "long", year: "numeric", timeZone: "UTC" };
+const DAY_FMT = { weekday: "long", month: "short", day: "numeric", timeZone: "UTC" };
+
+function monthStart(ymd) {
+  return `${ymd.slice(0, 7)}-01`;
+}
+
+function weekStart(ymd) {
+  return addDays(ymd, -weekday(ymd));
+}
+
+function shiftMonth(ymd, n) {
+  const d = parseYMD(monthStart(ymd));
+  d.setUTCMonth(d.getUTCMonth() + n);
+  return d.toISOString().slice(0, 10);
+}
+
+// Month grid and week agenda placing tasks on their due dates. Tasks can be
+// dragged to another day to reschedule; clicking an empty spot on a day
+// creates a task due that day.
+export default function CalendarView({ tasks, onReschedule, onOpen, onCreate }) {
+  const today = todayYMD();
+  const [mode, setMode] = useState("month"); // "month" | "week"
+  const [cursor, setCursor] = useState(today);
+  const [dropDay, setDropDay] = useState(null);
+
+  const byDay = useMemo(() => {
+    const map = {};
+    tasks.filter((t) => t.due).forEach((t) => { (map[t.due] ||= []).push(t); });
+    Object.values(map).forEach((list) =>
+      list.sort((a, b) => PRIORITY_ORDER[b.priority] - PRIORITY_ORDER[a.priority])
+    );
+    return map;
+  }, [tasks]);
+
+  const days = useMemo(() => {
+    if (mode === "week") {
+      const start = weekStart(cursor);
+      return Array.from({ length: 7 }, (_, i) => addDays(start, i));
+    }
+    const start = weekStart(monthStart(cursor));
+    const end = addDays(shiftMonth(cursor, 1), -1);
+    const out = [];
+    for (let d = start; d <= end || out.length % 7 !== 0; d = addDays(d, 1)) out.push(d);
+    return out;
+  }, [mode, cursor]);
+
+  const isOverdue = (ymd) => ymd < today && (byDay[ymd] || []).some((t) => t.status !== "Done");
+
+  function navigate(n) {
+    setCursor((c) => (mode === "week" ? addDays(c, 7 * n) : shiftMonth(c, n)));
+  }
+
+  function dayProps(ymd) {
+    return {
+      onDragOver: (e) => { e.preventDefault(); setDropDay(ymd); },
+      onDragLeave: () => setDropDay((d) => (d === ymd ? null : d)),
+      onDrop: (e) => {
+        e.preventDefault();
+        const id = e.dataTransfer.getData("text/plain");
+        if (id) onReschedule(id, ymd);
+        setDropDay(null);
+      },
+      onClick: (e) => { if (e.target === e.currentTarget) onCreate(ymd); },
+    };
+  }
+
+  function chip(t, compact) {
+    return (
+      <button
+        key={t.id}
+        draggable
+        onDragStart={(e) => { e.dataTransfer.setData("text/plain", t.id); e.dataTransfer.effectAllowed = "move"; }}
+        onClick={() => onOpen(t)}
+        title={`${t.title} (${t.priority}, ${t.status})`}
+        className={`block w-full truncate rounded-lg border px-1.5 py-0.5 text-left text-xs font-medium ${PRIORITY_COLORS[t.priority]} ${t.status === "Done" ? "line-through opacity-60" : ""} ${compact ? "" : "py-1 text-sm"}`}
+      >
+        {t.title}
+      </button>
+    );
+  }
+
+  const title = mode === "week"
+    ? `Week of ${parseYMD(days[0]).toLocaleDateString(undefined, { month: "short", day: "numeric", year: "numeric", timeZone: "UTC" })}`
+    : parseYMD(monthStart(cursor)).toLocaleDateString(undefined, MONTH_FMT);
+
+  return (
+    <div className="rounded-2xl border bg-white p-3 shadow-sm">
+      <div className="mb-3 flex flex-wrap items-center justify-between gap-2">
+        <div className="flex items-center gap-1">
+          <button onClick={() => navigate(-1)} className="rounded-xl border p-1.5 hover:bg-slate-50" title="Previous">
+            <ChevronLeft className="h-4 w-4" />
+          </button>
+          <button onClick={() => setCursor(today)} className="rounded-xl border px-2.5 py-1 text-xs font-medium hover:bg-slate-50">Today</button>
+          <button onClick={() => navigate(1)} className="rounded-xl border p-1.5 hover:bg-slate-50" title="Next">
+            <ChevronRight className="h-4 w-4" />
+          </button>
+          <h2 className="ml-2 text-sm font-semibold">{title}</h2>
+        </div>
+        <div className="inline-flex rounded-xl border p-0.5 text-xs">
+          {["month", "week"].map((m) => (
+            <button
+              key={m}
+              onClick={() => setMode(m)}
+              aria-pressed={mode === m}
+              className={`rounded-lg px-2.5 py-1 font-medium capitalize ${mode === m ? "bg-slate-900 text-white" : "hover:bg-slate-50"}`}
+            >
+              {m}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {mode === "month" ? (
+        <div className="grid grid-cols-7 gap-px overflow-hidden rounded-xl border bg-slate-200 text-xs">
+          {WEEKDAY_NAMES.map((d) => (
+            <div key={d} className="bg-slate-50 px-2 py-1 font-medium text-slate-500">{d}</div>
+          ))}
+          {days.map((ymd) => {
+            const inMonth = ymd.slice(0, 7) === cursor.slice(0, 7);
+            const list = byDay[ymd] || [];
+            return (
+              <div
+                key={ymd}
+                {...dayProps(ymd)}
+                className={`min-h-[6rem] cursor-pointer space-y-1 p-1.5 ${isOverdue(ymd) ? "bg-red-50" : "bg-white"} ${dropDay === ymd ? "ring-2 ring-inset ring-slate-400" : ""}`}
+              >
+                <div className={`pointer-events-none text-right ${ymd === today ? "font-bold text-slate-900" : inMonth ? "text-slate-500" : "text-slate-300"}`}>
+                  {Number(ymd.slice(8))}
+                </div>
+                {list.slice(0, 3).map((t) => chip(t, true))}
+                {list.length > 3 && (
+                  <button onClick={() => { setCursor(ymd); setMode("week"); }} className="text-slate-500 hover:underline">
+                    +{list.length - 3} more
+                  </button>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      ) : (
+        <div className="grid gap-2">
+          {days.map((ymd) => {
+            const list = byDay[ymd] || [];
+            return (
+              <div
+                key={ymd}
+                {...dayProps(ymd)}
+                className={`cursor-pointer rounded-xl border p-2 ${isOverdue(ymd) ? "border-red-200 bg-red-50" : ""} ${dropDay === ymd ? "ring-2 ring-slate-400" : ""}`}
+              >
+                <div className={`pointer-events-none mb-1 text-xs ${ymd === today ? "font-bold text-slate-900" : "font-medium text-slate-500"}`}>
+                  {parseYMD(ymd).toLocaleDateString(undefined, DAY_FMT)}
+                  {isOverdue(ymd) && <span className="ml-2 text-red-600">Overdue</span>}
+                </div>
+                {list.length === 0 ? (
+                  <div className="pointer-events-none text-xs text-slate-300">Nothing due — click to add</div>
+                ) : (
+                  <div className="grid gap-1">{list.map((t) => chip(t, false))}</div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
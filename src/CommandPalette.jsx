@@ -0,0 +1,143 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { Command, Search, X } from "lucide-react";
+
+export const SHORTCUTS = [
+  ["Ctrl K", "Command palette"],
+  ["n", "New task"],
+  ["/", "Focus search"],
+  ["j / k", "Select next / previous task"],
+  ["x", "Toggle done on the selected task"],
+  ["e", "Edit the selected task"],
+  ["t", "Start / stop the timer on the selected task"],
+  ["Del", "Delete the selected task"],
+  ["Ctrl Z / Ctrl Shift Z", "Undo / redo"],
+  ["?", "Show this help"],
+  ["Esc", "Close the palette or this help"],
+];
+
+const MAX_RESULTS = 50;
+
+// Subsequence match: every query character must appear in order. Scores
+// favour consecutive runs and matches at word starts; null means no match.
+function fuzzyScore(query, text) {
+  const q = query.toLowerCase();
+  const t = text.toLowerCase();
+  let score = 0;
+  let run = 0;
+  let ti = 0;
+  for (const c of q) {
+    if (c === " ") continue;
+    const i = t.indexOf(c, ti);
+    if (i === -1) return null;
+    run = i === ti ? run + 1 : 1;
+    score += run + (i === 0 || /[\s\-_/:]/.test(t[i - 1]) ? 3 : 0);
+    ti = i + 1;
+  }
+  return score - t.length / 100; // shorter labels win ties
+}
+
+// Ctrl+K palette. `commands` are { id, label, group, hint?, run }; the
+// list is fuzzy-filtered by label and navigated with the arrow keys.
+export default function CommandPalette({ commands, onClose }) {
+  const [text, setText] = useState("");
+  const [active, setActive] = useState(0);
+  const listRef = useRef(null);
+
+  const results = useMemo(() => {
+    if (!text.trim()) return commands.slice(0, MAX_RESULTS);
+    return commands
+      .map((c) => ({ c, score: fuzzyScore(text, `${c.group} ${c.label}`) ?? fuzzyScore(text, c.label) }))
+      .filter((x) => x.score !== null)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, MAX_RESULTS)
+      .map((x) => x.c);
+  }, [commands, text]);
+
+  useEffect(() => setActive(0), [text]);
+
+  useEffect(() => {
+    listRef.current?.querySelector(`[data-index="${active}"]`)?.scrollIntoView({ block: "nearest" });
+  }, [active]);
+
+  function run(c) {
+    onClose();
+    c.run();
+  }
+
+  function onKeyDown(e) {
+    if (e.key === "ArrowDown") setActive((i) => Math.min(results.length - 1, i + 1));
+    else if (e.key === "ArrowUp") setActive((i) => Math.max(0, i - 1));
+    else if (e.key === "Enter" && results[active]) run(results[active]);
+    else if (e.key === "Escape") onClose();
+    else return;
+    e.preventDefault();
+  }
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-start justify-center pt-[12vh]">
+      <div className="absolute inset-0 bg-black/30" onClick={onClose} />
+      <div className="relative w-full max-w-lg overflow-hidden rounded-2xl border bg-white shadow-xl" role="dialog" aria-label="Command palette">
+        <div className="flex items-center gap-2 border-b px-3">
+          <Search className="h-4 w-4 text-slate-400" />
+          <input
+            autoFocus
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            onKeyDown={onKeyDown}
+            placeholder="Type a command or task…"
+            className="w-full py-3 text-sm outline-none"
+            role="combobox"
+            aria-expanded="true"
+            aria-controls="palette-results"
+            aria-activedescendant={results[active] ? `palette-${results[active].id}` : undefined}
+          />
+        </div>
+        <ul id="palette-results" ref={listRef} role="listbox" className="max-h-80 overflow-y-auto py-1">
+          {results.length === 0 && <li className="px-4 py-6 text-center text-sm text-slate-500">No matches</li>}
+          {results.map((c, i) => (
+            <li
+              key={c.id}
+              id={`palette-${c.id}`}
+              data-index={i}
+              role="option"
+              aria-selected={i === active}
+              onMouseMove={() => setActive(i)}
+              onClick={() => run(c)}
+              className={`flex cursor-pointer items-center justify-between gap-3 px-4 py-2 text-sm ${i === active ? "bg-slate-100" : ""}`}
+            >
+              <span className="min-w-0 truncate">
+                <span className="mr-2 text-xs text-slate-400">{c.group}</span>
+                {c.label}
+              </span>
+              {c.hint && <kbd className="shrink-0 rounded border bg-slate-50 px-1.5 text-xs text-slate-500">{c.hint}</kbd>}
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+}
+
+export function ShortcutHelp({ onClose }) {
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center">
+      <div className="absolute inset-0 bg-black/30" onClick={onClose} />
+      <div className="relative w-full max-w-md rounded-2xl border bg-white shadow-xl" role="dialog" aria-label="Keyboard shortcuts">
+        <div className="flex items-center justify-between border-b px-4 py-3">
+          <h3 className="inline-flex items-center gap-2 text-sm font-semibold"><Command className="h-4 w-4" /> Keyboard shortcuts</h3>
+          <button onClick={onClose} className="rounded-xl border p-2 hover:bg-slate-50" title="Close">
+            <X className="h-4 w-4" />
+          </button>
+        </div>
+        <dl className="grid grid-cols-[auto_1fr] gap-x-4 gap-y-2 px-4 py-4 text-sm">
+          {SHORTCUTS.map(([keys, what]) => (
+            <React.Fragment key={keys}>
+              <dt><kbd className="rounded border bg-slate-50 px-1.5 py-0.5 text-xs">{keys}</kbd></dt>
+              <dd className="text-slate-600">{what}</dd>
+            </React.Fragment>
+          ))}
+        </dl>
+      </div>
+    </div>
+  );
+}
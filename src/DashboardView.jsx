@@ -0,0 +1,235 @@
+import React, { useMemo, useState } from "react";
+import { Download } from "lucide-react";
+import { MAX_RANGE_DAYS, clampRange, computeAnalytics, formatDays, rangeDays } from "./analytics";
+import { estimateReport, formatTracked } from "./timeTracking";
+import { addDays, todayYMD } from "./dates";
+
+const PRESETS = [["7d", 7], ["30d", 30], ["90d", 90], ["1y", 365]];
+
+const PRIORITY_FILLS = { Urgent: "#ef4444", High: "#f97316", Normal: "#3b82f6", Low: "#94a3b8" };
+const STATUS_FILLS = { "Todo": "#cbd5e1", "In Progress": "#8b5cf6", "Done": "#10b981" };
+
+// Throughput dashboard for retros. The date range drives the burn-down,
+// weekly completions and lead/cycle times; overdue and distribution are
+// snapshots of the tasks as they are now. Estimate vs actual counts the time
+// tracked within the range.
+export default function DashboardView({ tasks, now, onExportTime }) {
+  const [range, setRange] = useState(() => ({ from: addDays(todayYMD(), -29), to: todayYMD() }));
+  const valid = range.from && range.to && range.from <= range.to;
+  // a longer range than MAX_RANGE_DAYS shows its last MAX_RANGE_DAYS days
+  const shown = valid ? clampRange(range.from, range.to) : range;
+  const clamped = valid && shown.from !== range.from;
+  const data = useMemo(() => (valid ? computeAnalytics(tasks, shown.from, shown.to) : null), [tasks, shown.from, shown.to, valid]);
+  const report = valid ? estimateReport(tasks, shown.from, shown.to, now) : [];
+
+  function preset(n) {
+    setRange({ from: addDays(todayYMD(), -(n - 1)), to: todayYMD() });
+  }
+
+  return (
+    <div className="grid gap-4">
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        {PRESETS.map(([label, n]) => (
+          <button
+            key={label}
+            onClick={() => preset(n)}
+            aria-pressed={range.to === todayYMD() && rangeDays(range.from, range.to) === n}
+            className={`rounded-xl border px-3 py-1.5 font-medium ${range.to === todayYMD() && rangeDays(range.from, range.to) === n ? "bg-slate-900 text-white" : "bg-white hover:bg-slate-50"}`}
+          >
+            Last {label}
+          </button>
+        ))}
+        <input type="date" value={range.from} onChange={(e) => setRange((r) => ({ ...r, from: e.target.value }))} className="rounded-xl border px-2 py-1.5" aria-label="From" />
+        <span className="text-slate-400">to</span>
+        <input type="date" value={range.to} onChange={(e) => setRange((r) => ({ ...r, to: e.target.value }))} className="rounded-xl border px-2 py-1.5" aria-label="To" />
+        {clamped && <span className="text-xs text-slate-500">Showing the last {MAX_RANGE_DAYS} days (from {shown.from})</span>}
+      </div>
+
+      {!data ? (
+        <div className="rounded-2xl border border-dashed p-8 text-center text-slate-500">Pick a start date on or before the end date.</div>
+      ) : (
+        <>
+          <div className="grid grid-cols-2 gap-4 lg:grid-cols-4">
+            <Metric label="Created" value={data.created} hint={`in ${rangeDays(shown.from, shown.to)} days`} />
+            <Metric label="Completed" value={data.completed} hint={`in ${rangeDays(shown.from, shown.to)} days`} />
+            <Metric label="Avg lead time" value={formatDays(data.leadTime)} hint="Created → Done" />
+            <Metric label="Avg cycle time" value={formatDays(data.cycleTime)} hint={`In Progress → Done (${data.cycleSample} tasks)`} />
+          </div>
+
+          <div className="grid gap-4 lg:grid-cols-2">
+            <Panel title="Burn-down" hint="Open tasks at the end of each day">
+              <LineChart points={data.burndown.map((d) => ({ label: d.day, value: d.open }))} />
+            </Panel>
+            <Panel title="Completions per week" hint="Weeks start on Monday">
+              <BarChart bars={data.perWeek.map((w) => ({ label: w.week, value: w.count }))} />
+            </Panel>
+            <Panel title="Overdue by priority" hint="Open tasks past their due date, today">
+              <HBars rows={Object.entries(data.overdue).reverse().map(([p, n]) => ({ label: p, value: n, fill: PRIORITY_FILLS[p] }))} />
+            </Panel>
+            <Panel title="Priority / status" hint="All tasks, today">
+              <Distribution distribution={data.distribution} />
+            </Panel>
+          </div>
+
+          <Panel title="Estimate vs actual" hint="Tasks with time tracked in this range; red bars ran over their estimate">
+            {report.length > 0 && (
+              <button
+                onClick={() => onExportTime(shown.from, shown.to)}
+                className="mb-3 inline-flex items-center gap-1 rounded-xl border px-2.5 py-1.5 text-xs font-medium hover:bg-slate-50"
+              >
+                <Download className="h-4 w-4" /> Export time entries (CSV)
+              </button>
+            )}
+            <EstimateBars rows={report} />
+          </Panel>
+        </>
+      )}
+    </div>
+  );
+}
+
+function Metric({ label, value, hint }) {
+  return (
+    <div className="rounded-2xl border bg-white p-4 shadow-sm">
+      <div className="text-sm text-slate-500">{label}</div>
+      <div className="mt-1 text-2xl font-bold">{value}</div>
+      <div className="text-xs text-slate-500">{hint}</div>
+    </div>
+  );
+}
+
+function Panel({ title, hint, children }) {
+  return (
+    <section className="rounded-2xl border bg-white p-4 shadow-sm">
+      <h2 className="text-sm font-semibold">{title}</h2>
+      <p className="mb-3 text-xs text-slate-500">{hint}</p>
+      {children}
+    </section>
+  );
+}
+
+const W = 320;
+const H = 140;
+const PAD = 20;
+
+function shortDate(ymd) {
+  return ymd.slice(5);
+}
+
+function LineChart({ points }) {
+  const max = Math.max(1, ...points.map((p) => p.value));
+  const step = points.length > 1 ? (W - 2 * PAD) / (points.length - 1) : 0;
+  const xy = points.map((p, i) => [PAD + i * step, H - PAD - (p.value / max) * (H - 2 * PAD)]);
+  return (
+    <svg viewBox={`0 0 ${W} ${H}`} className="w-full" role="img" aria-label="Open tasks over time">
+      <line x1={PAD} y1={H - PAD} x2={W - PAD} y2={H - PAD} className="stroke-slate-200" />
+      <text x={PAD - 4} y={PAD + 4} textAnchor="end" className="fill-slate-400 text-[9px]">{max}</text>
+      <polyline points={xy.map((p) => p.join(",")).join(" ")} fill="none" className="stroke-slate-900" strokeWidth="2" />
+      {xy.map(([x, y], i) => (
+        <circle key={i} cx={x} cy={y} r={points.length > 60 ? 0 : 2} className="fill-slate-900">
+          <title>{`${points[i].label}: ${points[i].value} open`}</title>
+        </circle>
+      ))}
+      <text x={PAD} y={H - 4} className="fill-slate-400 text-[9px]">{shortDate(points[0].label)}</text>
+      <text x={W - PAD} y={H - 4} textAnchor="end" className="fill-slate-400 text-[9px]">{shortDate(points[points.length - 1].label)}</text>
+    </svg>
+  );
+}
+
+function BarChart({ bars }) {
+  const max = Math.max(1, ...bars.map((b) => b.value));
+  const slot = (W - 2 * PAD) / bars.length;
+  return (
+    <svg viewBox={`0 0 ${W} ${H}`} className="w-full" role="img" aria-label="Tasks completed per week">
+      <line x1={PAD} y1={H - PAD} x2={W - PAD} y2={H - PAD} className="stroke-slate-200" />
+      <text x={PAD - 4} y={PAD + 4} textAnchor="end" className="fill-slate-400 text-[9px]">{max}</text>
+      {bars.map((b, i) => {
+        const h = (b.value / max) * (H - 2 * PAD);
+        return (
+          <rect key={b.label} x={PAD + i * slot + slot * 0.15} y={H - PAD - h} width={slot * 0.7} height={h} rx="2" fill="#10b981">
+            <title>{`Week of ${b.label}: ${b.value} done`}</title>
+          </rect>
+        );
+      })}
+      <text x={PAD} y={H - 4} className="fill-slate-400 text-[9px]">{shortDate(bars[0].label)}</text>
+      <text x={W - PAD} y={H - 4} textAnchor="end" className="fill-slate-400 text-[9px]">{shortDate(bars[bars.length - 1].label)}</text>
+    </svg>
+  );
+}
+
+function HBars({ rows }) {
+  const max = Math.max(1, ...rows.map((r) => r.value));
+  return (
+    <div className="grid gap-2 text-xs">
+      {rows.map((r) => (
+        <div key={r.label} className="flex items-center gap-2">
+          <span className="w-16 text-slate-500">{r.label}</span>
+          <div className="h-3 flex-1 rounded-full bg-slate-100">
+            <div className="h-3 rounded-full" style={{ width: `${(r.value / max) * 100}%`, background: r.fill }} />
+          </div>
+          <span className="w-6 text-right font-medium">{r.value}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// One stacked bar per priority, split by status.
+function Distribution({ distribution }) {
+  const rows = Object.entries(distribution).reverse();
+  const max = Math.max(1, ...rows.map(([, byStatus]) => Object.values(byStatus).reduce((a, b) => a + b, 0)));
+  return (
+    <div className="grid gap-2 text-xs">
+      {rows.map(([p, byStatus]) => (
+        <div key={p} className="flex items-center gap-2">
+          <span className="w-16 text-slate-500">{p}</span>
+          <div className="flex h-3 flex-1 overflow-hidden rounded-full bg-slate-100">
+            {Object.entries(byStatus).map(([s, n]) => n > 0 && (
+              <div key={s} title={`${p} · ${s}: ${n}`} style={{ width: `${(n / max) * 100}%`, background: STATUS_FILLS[s] }} />
+            ))}
+          </div>
+          <span className="w-6 text-right font-medium">{Object.values(byStatus).reduce((a, b) => a + b, 0)}</span>
+        </div>
+      ))}
+      <div className="mt-1 flex gap-3 text-slate-500">
+        {Object.entries(STATUS_FILLS).map(([s, fill]) => (
+          <span key={s} className="inline-flex items-center gap-1">
+            <span className="h-2 w-2 rounded-full" style={{ background: fill }} /> {s}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// Actual time per task against a tick at its estimate.
+function EstimateBars({ rows }) {
+  if (rows.length === 0) return <p className="text-sm text-slate-500">No time tracked in this range.</p>;
+  const max = Math.max(...rows.map((r) => Math.max(r.actualMs, r.estimateMs)));
+  const totals = rows.reduce((acc, r) => ({ actual: acc.actual + r.actualMs, estimate: acc.estimate + (r.estimateMs ? r.actualMs : 0), planned: acc.planned + r.estimateMs }), { actual: 0, estimate: 0, planned: 0 });
+  return (
+    <div className="grid gap-2 text-xs">
+      {rows.map(({ task, estimateMs, actualMs }) => (
+        <div key={task.id} className="flex items-center gap-2">
+          <span className="w-40 truncate text-slate-600" title={task.title}>{task.title}</span>
+          <div className="relative h-3 flex-1 rounded-full bg-slate-100">
+            <div
+              className="h-3 rounded-full"
+              style={{ width: `${(actualMs / max) * 100}%`, background: estimateMs && actualMs > estimateMs ? "#ef4444" : "#10b981" }}
+            />
+            {estimateMs > 0 && (
+              <div className="absolute top-[-2px] h-4 w-0.5 bg-slate-900" style={{ left: `${(estimateMs / max) * 100}%` }} title={`Estimate: ${formatTracked(estimateMs)}`} />
+            )}
+          </div>
+          <span className="w-28 text-right font-medium">
+            {formatTracked(actualMs)}{estimateMs ? ` / ${formatTracked(estimateMs)}` : ""}
+          </span>
+        </div>
+      ))}
+      <div className="mt-1 text-slate-500">
+        {formatTracked(totals.actual)} tracked
+        {totals.planned > 0 && ` · ${formatTracked(totals.estimate)} on estimated tasks against ${formatTracked(totals.planned)} estimated`}
+      </div>
+    </div>
+  );
+}
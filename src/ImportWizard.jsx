@@ -0,0 +1,153 @@
+import React, { useState } from "react";
+import { Upload, X } from "lucide-react";
+
+const STRATEGIES = [
+  { value: "mine", label: "Keep mine" },
+  { value: "theirs", label: "Take theirs" },
+  { value: "both", label: "Keep both" },
+];
+
+// Import preview: shows what an import would change and lets the user pick
+// a strategy for each conflicting task before anything is written.
+export default function ImportWizard({ fileName, diff, viewCount = 0, tagCount = 0, projectCount = 0, fileCount = 0, onClose, onApply }) {
+  const [strategies, setStrategies] = useState({});
+  const { added, updated, unchanged, conflicts } = diff;
+  const nothingToDo = added.length + updated.length + conflicts.length + viewCount + tagCount + projectCount + fileCount === 0;
+  const extras = [
+    [viewCount, "saved view"],
+    [tagCount, "tag color"],
+    [projectCount, "project"],
+    [fileCount, "attached file"],
+  ].filter(([n]) => n > 0).map(([n, noun]) => `${n} ${noun}${n === 1 ? "" : "s"}`);
+
+  function setAll(value) {
+    setStrategies(Object.fromEntries(conflicts.map(({ theirs }) => [theirs.id, value])));
+  }
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center">
+      <div className="absolute inset-0 bg-black/30" onClick={onClose} />
+      <div className="relative flex max-h-[85vh] w-full max-w-2xl flex-col rounded-2xl border bg-white shadow-xl">
+        <div className="flex items-center justify-between border-b px-4 py-3">
+          <div>
+            <h3 className="text-sm font-semibold">Import preview</h3>
+            <p className="text-xs text-slate-500">{fileName}</p>
+          </div>
+          <button onClick={onClose} className="rounded-xl border p-2 hover:bg-slate-50" title="Close">
+            <X className="h-4 w-4" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto px-4 py-4">
+          <div className="mb-4 grid grid-cols-2 gap-2 sm:grid-cols-4">
+            <Count label="New" value={added.length} className="text-emerald-700" />
+            <Count label="Updated" value={updated.length} className="text-blue-700" />
+            <Count label="Unchanged" value={unchanged.length} className="text-slate-500" />
+            <Count label="Conflicts" value={conflicts.length} className="text-orange-700" />
+          </div>
+
+          {nothingToDo && (
+            <div className="rounded-2xl border border-dashed p-6 text-center text-sm text-slate-500">
+              Everything in this file is already in your list.
+            </div>
+          )}
+
+          {extras.length > 0 && (
+            <p className="mb-4 text-sm text-slate-600">
+              Also imports {extras.join(", ")} (existing ones with the same id or name are replaced).
+            </p>
+          )}
+
+          <Section title="New tasks" items={added.map((t) => t.title)} />
+          <Section
+            title="Updated (file is newer)"
+            items={updated.map(({ mine, theirs }) => mine.title === theirs.title ? theirs.title : `${mine.title} → ${theirs.title}`)}
+          />
+
+          {conflicts.length > 0 && (
+            <div className="mb-4">
+              <div className="mb-2 flex flex-wrap items-center justify-between gap-2">
+                <h4 className="text-xs font-semibold uppercase tracking-wide text-slate-500">
+                  Conflicts (your copy is as new or newer)
+                </h4>
+                <div className="flex gap-1">
+                  {STRATEGIES.map((s) => (
+                    <button key={s.value} onClick={() => setAll(s.value)} className="rounded-xl border px-2 py-1 text-xs hover:bg-slate-50">
+                      All: {s.label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+              <div className="grid gap-2">
+                {conflicts.map(({ mine, theirs }) => (
+                  <div key={theirs.id} className="rounded-2xl border p-3 text-xs">
+                    <div className="grid grid-cols-2 gap-3">
+                      <TaskSummary label="Mine" t={mine} />
+                      <TaskSummary label="Theirs" t={theirs} />
+                    </div>
+                    <div className="mt-2 flex flex-wrap gap-3">
+                      {STRATEGIES.map((s) => (
+                        <label key={s.value} className="inline-flex items-center gap-1">
+                          <input
+                            type="radio"
+                            name={`strategy-${theirs.id}`}
+                            checked={(strategies[theirs.id] || "mine") === s.value}
+                            onChange={() => setStrategies((prev) => ({ ...prev, [theirs.id]: s.value }))}
+                          />
+                          {s.label}
+                        </label>
+                      ))}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+
+        <div className="flex justify-end gap-2 border-t px-4 py-3">
+          <button onClick={onClose} className="rounded-2xl border px-4 py-2 text-sm hover:bg-slate-50">Cancel</button>
+          <button
+            onClick={() => onApply(strategies)}
+            disabled={nothingToDo}
+            className="inline-flex items-center gap-2 rounded-2xl bg-slate-900 px-4 py-2 text-sm font-semibold text-white hover:bg-slate-800 disabled:opacity-50"
+          >
+            <Upload className="h-4 w-4" /> Import
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function Count({ label, value, className }) {
+  return (
+    <div className="rounded-2xl border p-2 text-center">
+      <div className={`text-lg font-bold ${className}`}>{value}</div>
+      <div className="text-xs text-slate-500">{label}</div>
+    </div>
+  );
+}
+
+function Section({ title, items }) {
+  if (items.length === 0) return null;
+  return (
+    <div className="mb-4">
+      <h4 className="mb-1 text-xs font-semibold uppercase tracking-wide text-slate-500">{title}</h4>
+      <ul className="list-disc pl-5 text-sm text-slate-700">
+        {items.map((text, i) => <li key={i} className="truncate">{text}</li>)}
+      </ul>
+    </div>
+  );
+}
+
+function TaskSummary({ label, t }) {
+  return (
+    <div className="min-w-0">
+      <div className="font-medium text-slate-500">{label}</div>
+      <div className="truncate font-semibold">{t.title}</div>
+      <div className="text-slate-500">{t.priority} · {t.status}{t.due ? ` · due ${t.due}` : ""}</div>
+      <div className="text-slate-400">Updated {new Date(t.updatedAt).toLocaleString()}</div>
+    </div>
+  );
+}
@@ -0,0 +1,78 @@
+import React, { useState } from "react";
+import { AlarmClock, Bell, CheckCircle2, ChevronDown } from "lucide-react";
+import { PriorityBadge } from "./Badges";
+import { SNOOZE_OPTIONS, formatDue } from "./reminders";
+
+const SECTIONS = [
+  { id: "overdue", title: "Overdue", tone: "text-red-700" },
+  { id: "today", title: "Due today", tone: "text-amber-700" },
+  { id: "upcoming", title: "Upcoming", tone: "text-slate-600" },
+];
+
+// Deadline inbox shown above the list: overdue, due today and the coming
+// week. Snoozed tasks drop out until their snooze ends.
+export default function Inbox({ groups, permission, onEnableNotifications, onOpen, onToggleDone, onSnooze }) {
+  const [collapsed, setCollapsed] = useState(false);
+  const total = groups.overdue.length + groups.today.length + groups.upcoming.length;
+  if (total === 0 && permission !== "default") return null;
+
+  return (
+    <section aria-label="Deadlines" className="mb-4 rounded-2xl border bg-white p-3 shadow-sm">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <button onClick={() => setCollapsed((c) => !c)} className="inline-flex items-center gap-1 text-sm font-semibold" aria-expanded={!collapsed}>
+          <ChevronDown className={`h-4 w-4 transition ${collapsed ? "-rotate-90" : ""}`} />
+          Deadlines
+          {groups.overdue.length > 0 && (
+            <span className="rounded-full bg-red-100 px-1.5 text-xs text-red-700">{groups.overdue.length} overdue</span>
+          )}
+        </button>
+        {permission === "default" && (
+          <button onClick={onEnableNotifications} className="inline-flex items-center gap-1 rounded-xl border px-2.5 py-1 text-xs font-medium hover:bg-slate-50">
+            <Bell className="h-3.5 w-3.5" /> Enable reminders
+          </button>
+        )}
+        {permission === "denied" && (
+          <span className="text-xs text-slate-400">Notifications are blocked for this site; reminders only show here.</span>
+        )}
+      </div>
+
+      {!collapsed && total === 0 && <p className="mt-2 text-xs text-slate-500">Nothing due in the next week.</p>}
+
+      {!collapsed && SECTIONS.filter((s) => groups[s.id].length > 0).map((s) => (
+        <div key={s.id} className="mt-3">
+          <h3 className={`mb-1 text-xs font-semibold uppercase tracking-wide ${s.tone}`}>{s.title} ({groups[s.id].length})</h3>
+          <ul className="grid gap-1">
+            {groups[s.id].map((t) => (
+              <li key={t.id} className="flex items-center gap-2 rounded-xl px-2 py-1 text-sm hover:bg-slate-50">
+                <button onClick={() => onToggleDone(t.id)} className="text-slate-400 hover:text-emerald-600" title="Mark as Done">
+                  <CheckCircle2 className="h-4 w-4" />
+                </button>
+                <button onClick={() => onOpen(t)} className="min-w-0 flex-1 truncate text-left">{t.title}</button>
+                <PriorityBadge p={t.priority} />
+                <span className="w-32 text-right text-xs text-slate-500">{formatDue(t)}</span>
+                <SnoozeMenu onSnooze={(option) => onSnooze(t.id, option)} />
+              </li>
+            ))}
+          </ul>
+        </div>
+      ))}
+    </section>
+  );
+}
+
+function SnoozeMenu({ onSnooze }) {
+  return (
+    <label className="relative rounded-lg p-1 text-slate-500 hover:bg-slate-100" title="Snooze">
+      <AlarmClock className="h-4 w-4" />
+      <select
+        value=""
+        onChange={(e) => e.target.value && onSnooze(e.target.value)}
+        className="absolute inset-0 cursor-pointer opacity-0"
+        aria-label="Snooze"
+      >
+        <option value="">Snooze…</option>
+        {SNOOZE_OPTIONS.map((o) => <option key={o.id} value={o.id}>{o.label}</option>)}
+      </select>
+    </label>
+  );
+}
@@ -0,0 +1,125 @@
+import React, { useMemo } from "react";
+import { Paperclip } from "lucide-react";
+import { attachmentId, parseNotes } from "./notesMarkdown";
+import { useAttachmentUrl } from "./useAttachmentUrl";
+
+const HEADING_SIZES = ["text-lg", "text-base", "text-sm", "text-sm", "text-sm", "text-sm"];
+
+// Rendered task notes. Task-list checkboxes call onToggle(line) with their
+// source line (see toggleTaskLine); without onToggle they're read-only.
+// `attachments` names the files that attachment: links point to.
+export default function MarkdownNotes({ text, onToggle, attachments = [], className = "" }) {
+  const blocks = useMemo(() => parseNotes(text), [text]);
+  const names = useMemo(() => new Map(attachments.map((a) => [a.id, a.name])), [attachments]);
+
+  return (
+    <div className={`grid gap-2 break-words text-sm text-slate-700 ${className}`}>
+      {blocks.map((b, i) => {
+        if (b.type === "code") {
+          return (
+            <pre key={i} className="overflow-x-auto rounded-xl bg-slate-100 px-3 py-2 font-mono text-xs text-slate-800">
+              <code>{b.text}</code>
+            </pre>
+          );
+        }
+        if (b.type === "heading") {
+          const Tag = `h${b.level}`;
+          return <Tag key={i} className={`font-semibold text-slate-900 ${HEADING_SIZES[b.level - 1]}`}><Inline runs={b.inline} names={names} /></Tag>;
+        }
+        if (b.type === "hr") return <hr key={i} className="border-slate-200" />;
+        if (b.type === "quote") {
+          return (
+            <blockquote key={i} className="border-l-4 border-slate-200 pl-3 text-slate-500">
+              <Lines lines={b.lines} names={names} />
+            </blockquote>
+          );
+        }
+        if (b.type === "list") {
+          const List = b.ordered ? "ol" : "ul";
+          return (
+            <List key={i} start={b.ordered ? b.start : undefined} className={`grid gap-0.5 ${b.ordered ? "list-decimal" : "list-disc"} pl-5`}>
+              {b.items.map((item) => (
+                <li
+                  key={item.line}
+                  className={item.checked === null ? "" : "list-none"}
+                  style={{ marginLeft: `${item.depth * 1.25}rem` }}
+                >
+                  {item.checked === null ? (
+                    <Inline runs={item.inline} names={names} />
+                  ) : (
+                    <label className={`-ml-5 inline-flex items-start gap-2 ${onToggle ? "cursor-pointer" : ""}`}>
+                      <input
+                        type="checkbox"
+                        checked={item.checked}
+                        disabled={!onToggle}
+                        onChange={() => onToggle(item.line)}
+                        onClick={(e) => e.stopPropagation()}
+                        className="mt-1"
+                      />
+                      <span className={item.checked ? "text-slate-400 line-through" : ""}>
+                        <Inline runs={item.inline} names={names} />
+                      </span>
+                    </label>
+                  )}
+                </li>
+              ))}
+            </List>
+          );
+        }
+        return <p key={i}><Lines lines={b.lines} names={names} /></p>;
+      })}
+    </div>
+  );
+}
+
+// single line breaks inside a paragraph are kept
+function Lines({ lines, names }) {
+  return lines.map((runs, i) => (
+    <React.Fragment key={i}>
+      {i > 0 && <br />}
+      <Inline runs={runs} names={names} />
+    </React.Fragment>
+  ));
+}
+
+function Inline({ runs, names }) {
+  return runs.map((r, i) => {
+    if (r.type === "text") return <React.Fragment key={i}>{r.text}</React.Fragment>;
+    if (r.type === "code") return <code key={i} className="rounded bg-slate-100 px-1 font-mono text-xs text-slate-800">{r.text}</code>;
+    if (r.type === "strong") return <strong key={i} className="font-semibold"><Inline runs={r.children} names={names} /></strong>;
+    if (r.type === "em") return <em key={i}><Inline runs={r.children} names={names} /></em>;
+    if (r.type === "del") return <del key={i}><Inline runs={r.children} names={names} /></del>;
+    if (r.type === "image") {
+      const id = attachmentId(r.src);
+      if (id) return <AttachmentImage key={i} id={id} alt={r.alt} />;
+      return <img key={i} src={r.src} alt={r.alt} loading="lazy" referrerPolicy="no-referrer" className="inline-block max-h-48 rounded-lg" />;
+    }
+    if (r.type === "link") {
+      const id = attachmentId(r.href);
+      if (id) return <AttachmentLink key={i} id={id} name={names.get(id)}><Inline runs={r.children} names={names} /></AttachmentLink>;
+      return (
+        <a key={i} href={r.href} target="_blank" rel="noopener noreferrer" onClick={(e) => e.stopPropagation()} className="text-blue-600 underline hover:text-blue-800">
+          <Inline runs={r.children} names={names} />
+        </a>
+      );
+    }
+    return null;
+  });
+}
+
+function AttachmentImage({ id, alt }) {
+  const url = useAttachmentUrl(id);
+  if (url === undefined) return null;
+  if (url === null) return <span className="text-xs text-slate-400">[missing image: {alt || id}]</span>;
+  return <img src={url} alt={alt} className="inline-block max-h-48 rounded-lg" />;
+}
+
+function AttachmentLink({ id, name, children }) {
+  const url = useAttachmentUrl(id);
+  if (!url) return <span className="text-slate-400">{children}</span>;
+  return (
+    <a href={url} download={name || true} onClick={(e) => e.stopPropagation()} className="inline-flex items-center gap-0.5 text-blue-600 underline hover:text-blue-800">
+      <Paperclip className="h-3 w-3" />{children}
+    </a>
+  );
+}
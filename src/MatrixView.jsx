@@ -0,0 +1,75 @@
+import React, { useMemo, useState } from "react";
+import { Calendar } from "lucide-react";
+import { PriorityBadge } from "./Badges";
+import { quadrantOf, scoreTask, URGENT_DAYS } from "./scoring";
+
+const QUADRANTS = [
+  { id: "do", title: "Do first", hint: "Urgent & important", tone: "border-red-200 bg-red-50/60" },
+  { id: "schedule", title: "Schedule", hint: "Important, not urgent", tone: "border-blue-200 bg-blue-50/60" },
+  { id: "delegate", title: "Delegate", hint: "Urgent, not important", tone: "border-amber-200 bg-amber-50/60" },
+  { id: "eliminate", title: "Eliminate", hint: "Neither", tone: "border-slate-200 bg-slate-50/60" },
+];
+
+// Eisenhower matrix of open tasks. Dropping a task on another quadrant calls
+// onMoveToQuadrant, which adjusts its priority and/or due date to match.
+export default function MatrixView({ tasks, onMoveToQuadrant, onOpen }) {
+  const [dropOn, setDropOn] = useState(null);
+
+  const groups = useMemo(() => {
+    const g = { do: [], schedule: [], delegate: [], eliminate: [] };
+    tasks
+      .filter((t) => t.status !== "Done")
+      .map((t) => ({ t, score: scoreTask(t).score }))
+      .sort((a, b) => b.score - a.score)
+      .forEach((x) => g[quadrantOf(x.t)].push(x));
+    return g;
+  }, [tasks]);
+
+  return (
+    <div>
+      <p className="mb-2 text-xs text-slate-500">
+        Important = High or Urgent priority. Urgent = due within {URGENT_DAYS} days or overdue. Drag tasks between quadrants to change them.
+      </p>
+      <div className="grid grid-cols-1 gap-3 md:grid-cols-2">
+        {QUADRANTS.map((q) => (
+          <section
+            key={q.id}
+            aria-label={q.title}
+            onDragOver={(e) => { e.preventDefault(); setDropOn(q.id); }}
+            onDragLeave={(e) => { if (!e.currentTarget.contains(e.relatedTarget)) setDropOn(null); }}
+            onDrop={(e) => {
+              e.preventDefault();
+              const id = e.dataTransfer.getData("text/plain");
+              if (id) onMoveToQuadrant(id, q.id);
+              setDropOn(null);
+            }}
+            className={`min-h-[10rem] rounded-2xl border p-3 ${q.tone} ${dropOn === q.id ? "ring-2 ring-slate-400" : ""}`}
+          >
+            <h2 className="text-sm font-semibold">{q.title} <span className="font-normal text-slate-400">({groups[q.id].length})</span></h2>
+            <p className="mb-2 text-xs text-slate-500">{q.hint}</p>
+            <ul className="grid gap-2">
+              {groups[q.id].map(({ t, score }) => (
+                <li
+                  key={t.id}
+                  draggable
+                  onDragStart={(e) => { e.dataTransfer.setData("text/plain", t.id); e.dataTransfer.effectAllowed = "move"; }}
+                  onDoubleClick={() => onOpen(t)}
+                  className="flex cursor-grab items-center justify-between gap-2 rounded-xl border bg-white px-3 py-2 shadow-sm"
+                >
+                  <div className="min-w-0">
+                    <div className="truncate text-sm font-medium">{t.title}</div>
+                    <div className="mt-1 flex items-center gap-2 text-xs text-slate-500">
+                      <PriorityBadge p={t.priority} />
+                      {t.due && <span className="inline-flex items-center gap-1"><Calendar className="h-3 w-3" /> {t.due}</span>}
+                    </div>
+                  </div>
+                  <span className="shrink-0 text-xs font-semibold text-slate-400" title="Priority score">{score}</span>
+                </li>
+              ))}
+            </ul>
+          </section>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,51 @@
+import React, { useMemo, useState } from "react";
+import { Calendar, Plus } from "lucide-react";
+import { PriorityBadge, StatusBadge } from "./Badges";
+import { TagChip } from "./TagManager";
+import { tagColor } from "./tags";
+import { parseQuickAdd } from "./parseQuickAdd";
+
+// One-line task entry. The text is parsed as you type (see parseQuickAdd.js) and
+// the recognized fields are previewed as chips; Enter creates the task.
+export default function QuickAdd({ tagDefs, onAdd }) {
+  const [text, setText] = useState("");
+  const parsed = useMemo(() => parseQuickAdd(text), [text]);
+
+  function submit(e) {
+    e.preventDefault();
+    if (!parsed.title) return;
+    onAdd(parsed);
+    setText("");
+  }
+
+  const hasChips = parsed.due || parsed.priority || parsed.status || parsed.tags.length > 0;
+
+  return (
+    <form onSubmit={submit} className="mb-4">
+      <div className="relative">
+        <Plus className="absolute left-3 top-1/2 h-4 w-4 -translate-y-1/2 text-slate-400" />
+        <input
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          onKeyDown={(e) => e.key === "Escape" && setText("")}
+          placeholder='Quick add: "Send invoice to ACME tomorrow !urgent #billing"'
+          title="Dates: today, tomorrow, fri, next fri, in 3 days, oct 20, 2026-10-20 · Time: at 3pm · Priority: !urgent !high !low · Status: @doing @done · Tags: #tag"
+          aria-label="Quick add task"
+          className="w-full rounded-2xl border bg-white px-9 py-2 text-sm outline-none ring-slate-200 focus:ring"
+        />
+      </div>
+      {text.trim() && (
+        <div className="mt-1.5 flex flex-wrap items-center gap-2 px-3 text-xs text-slate-500" aria-live="polite">
+          <span className="font-medium text-slate-700">{parsed.title || <em className="text-red-600">Needs a title</em>}</span>
+          {parsed.due && (
+            <span className="inline-flex items-center gap-1"><Calendar className="h-3 w-3" /> {parsed.due}{parsed.dueTime ? ` ${parsed.dueTime}` : ""}</span>
+          )}
+          {parsed.priority && <PriorityBadge p={parsed.priority} />}
+          {parsed.status && <StatusBadge s={parsed.status} />}
+          {parsed.tags.map((name) => <TagChip key={name} name={name} color={tagColor(tagDefs, name)} />)}
+          {!hasChips && <span>Press Enter to add</span>}
+        </div>
+      )}
+    </form>
+  );
+}
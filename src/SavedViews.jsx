@@ -0,0 +1,108 @@
+import React, { useState } from "react";
+import { Bookmark, ChevronLeft, ChevronRight, Pencil, Plus, Trash2 } from "lucide-react";
+import { uid } from "./taskModel";
+
+// views saved before a field existed read as its default
+export const VIEW_DEFAULTS = {
+  q: "",
+  priorityFilter: "All",
+  statusFilter: "All",
+  tagFilter: "All",
+  projectFilter: "All",
+  blockedFilter: "All",
+  sortBy: "priority",
+  sortDir: "desc",
+};
+const VIEW_FIELDS = Object.keys(VIEW_DEFAULTS);
+
+// Coerce an imported view into a complete one, or null if unusable.
+export function normalizeView(v) {
+  if (!v || !v.id || !v.name) return null;
+  return {
+    id: String(v.id),
+    name: String(v.name),
+    ...Object.fromEntries(VIEW_FIELDS.map((k) => [k, v[k] ? String(v[k]) : VIEW_DEFAULTS[k]])),
+  };
+}
+
+export function sameView(a, b) {
+  return VIEW_FIELDS.every((k) => (a[k] || VIEW_DEFAULTS[k]) === (b[k] || VIEW_DEFAULTS[k]));
+}
+
+// Tab strip of saved views with live counts. "Save view" captures the
+// current search, filters and sort under a name.
+export default function SavedViews({ views, counts, current, onChange, onApply }) {
+  const [managing, setManaging] = useState(false);
+
+  function save() {
+    const name = prompt("Name this view", current.q || "My view");
+    if (!name?.trim()) return;
+    onChange([...views, { id: uid(), name: name.trim(), ...Object.fromEntries(VIEW_FIELDS.map((k) => [k, current[k]])) }]);
+  }
+
+  function rename(v) {
+    const name = prompt("Rename view", v.name);
+    if (!name?.trim()) return;
+    onChange(views.map((x) => (x.id === v.id ? { ...x, name: name.trim() } : x)));
+  }
+
+  function move(index, delta) {
+    const next = [...views];
+    const [v] = next.splice(index, 1);
+    next.splice(index + delta, 0, v);
+    onChange(next);
+  }
+
+  function remove(v) {
+    if (confirm(`Delete the view "${v.name}"?`)) onChange(views.filter((x) => x.id !== v.id));
+  }
+
+  return (
+    <div className="mb-4 flex flex-wrap items-center gap-2">
+      <Bookmark className="h-4 w-4 text-slate-400" />
+      {views.map((v, i) => {
+        const active = sameView(v, current);
+        return (
+          <div key={v.id} className={`inline-flex items-center rounded-2xl border text-sm ${active ? "border-slate-900 bg-slate-900 text-white" : "bg-white"}`}>
+            {managing && i > 0 && (
+              <button onClick={() => move(i, -1)} className="rounded-l-2xl py-1.5 pl-2 pr-1 opacity-70 hover:opacity-100" title="Move left">
+                <ChevronLeft className="h-4 w-4" />
+              </button>
+            )}
+            <button onClick={() => onApply(v)} className="inline-flex items-center gap-2 px-3 py-1.5 font-medium">
+              {v.name}
+              <span className={`rounded-full px-1.5 text-xs ${active ? "bg-white/20" : "bg-slate-100 text-slate-500"}`}>{counts[i]}</span>
+            </button>
+            {managing && (
+              <>
+                <button onClick={() => rename(v)} className="py-1.5 pr-1 opacity-70 hover:opacity-100" title="Rename">
+                  <Pencil className="h-3.5 w-3.5" />
+                </button>
+                <button onClick={() => remove(v)} className="py-1.5 pr-1 text-red-500 opacity-70 hover:opacity-100" title="Delete">
+                  <Trash2 className="h-3.5 w-3.5" />
+                </button>
+                {i < views.length - 1 && (
+                  <button onClick={() => move(i, 1)} className="py-1.5 pr-2 opacity-70 hover:opacity-100" title="Move right">
+                    <ChevronRight className="h-4 w-4" />
+                  </button>
+                )}
+              </>
+            )}
+          </div>
+        );
+      })}
+      <button
+        onClick={save}
+        className="inline-flex items-center gap-1 rounded-2xl border border-dashed px-3 py-1.5 text-sm text-slate-500 hover:bg-slate-50"
+        title="Save the current search, filters and sort as a view"
+      >
+        <Plus className="h-4 w-4" /> Save view
+      </button>
+      {views.length > 0 && (
+        <button onClick={() => setManaging((m) => !m)} className="text-xs text-slate-500 hover:underline">
+          {managing ? "Done" : "Manage"}
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,179 @@
+import React, { useState } from "react";
+import { FolderOpen, Merge, Pencil, Plus, Tag, Trash2, X } from "lucide-react";
+import { normalizeTagName } from "./taskModel";
+import { tagColor, newProject } from "./tags";
+
+export function TagChip({ name, color, onRemove }) {
+  return (
+    <span
+      className="inline-flex items-center gap-1 rounded-full border px-2 py-0.5 text-xs font-medium"
+      style={{ color, backgroundColor: `${color}1a`, borderColor: `${color}55` }}
+    >
+      #{name}
+      {onRemove && (
+        <button type="button" onClick={onRemove} className="opacity-60 hover:opacity-100" title={`Remove ${name}`}>
+          <X className="h-3 w-3" />
+        </button>
+      )}
+    </span>
+  );
+}
+
+export function ProjectChip({ project }) {
+  return (
+    <span className="inline-flex items-center gap-1 font-medium" style={{ color: project.color }}>
+      <FolderOpen className="h-3 w-3" /> {project.name}
+    </span>
+  );
+}
+
+// Chips plus a text box; Enter or comma adds, Backspace on empty removes the last.
+export function TagInput({ value, onChange, defs, suggestions }) {
+  const [text, setText] = useState("");
+
+  function add(raw) {
+    const name = normalizeTagName(raw);
+    setText("");
+    if (!name || value.some((n) => n.toLowerCase() === name.toLowerCase())) return;
+    // reuse the existing spelling of a known tag
+    const known = suggestions.find((n) => n.toLowerCase() === name.toLowerCase());
+    onChange([...value, known || name]);
+  }
+
+  return (
+    <div className="flex flex-wrap items-center gap-1 rounded-2xl border px-2 py-1.5">
+      {value.map((name) => (
+        <TagChip key={name} name={name} color={tagColor(defs, name)} onRemove={() => onChange(value.filter((n) => n !== name))} />
+      ))}
+      <input
+        value={text}
+        list="tag-suggestions"
+        onChange={(e) => setText(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === "Enter" || e.key === ",") {
+            e.preventDefault();
+            add(text);
+          } else if (e.key === "Backspace" && !text && value.length) {
+            onChange(value.slice(0, -1));
+          }
+        }}
+        onBlur={() => text && add(text)}
+        placeholder={value.length ? "" : "Add tags…"}
+        className="min-w-[6rem] flex-1 px-1 text-sm outline-none"
+      />
+      <datalist id="tag-suggestions">
+        {suggestions.filter((n) => !value.includes(n)).map((n) => <option key={n} value={n} />)}
+      </datalist>
+    </div>
+  );
+}
+
+// Manage tags (color, rename, merge, delete) and projects. Tag changes are
+// applied to every task that uses the tag.
+export default function TagManager({ tags, projects, projectCounts, onTagColor, onRenameTag, onDeleteTag, onProjectsChange, onDeleteProject, onClose }) {
+  function rename(tag) {
+    const input = prompt(`Rename #${tag.name}`, tag.name);
+    const name = normalizeTagName(input);
+    if (!name || name === tag.name) return;
+    const existing = tags.find((t) => t !== tag && t.name.toLowerCase() === name.toLowerCase());
+    if (existing && !confirm(`#${existing.name} already exists. Merge #${tag.name} into it?`)) return;
+    onRenameTag(tag.name, existing ? existing.name : name);
+  }
+
+  function remove(tag) {
+    if (confirm(`Delete #${tag.name}? It will be removed from ${tag.count} task${tag.count === 1 ? "" : "s"}.`)) onDeleteTag(tag.name);
+  }
+
+  function addProject() {
+    const name = prompt("Project name");
+    if (name?.trim()) onProjectsChange([...projects, newProject(name)]);
+  }
+
+  function renameProject(p) {
+    const name = prompt("Rename project", p.name);
+    if (name?.trim()) onProjectsChange(projects.map((x) => (x.id === p.id ? { ...x, name: name.trim() } : x)));
+  }
+
+  function removeProject(p) {
+    const n = projectCounts[p.id] || 0;
+    if (confirm(`Delete the project "${p.name}"?${n ? ` Its ${n} task${n === 1 ? "" : "s"} will be kept without a project.` : ""}`)) onDeleteProject(p.id);
+  }
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center">
+      <div className="absolute inset-0 bg-black/30" onClick={onClose} />
+      <div className="relative flex max-h-[85vh] w-full max-w-lg flex-col rounded-2xl border bg-white shadow-xl">
+        <div className="flex items-center justify-between border-b px-4 py-3">
+          <h3 className="text-sm font-semibold">Tags & projects</h3>
+          <button onClick={onClose} className="rounded-xl border p-2 hover:bg-slate-50" title="Close">
+            <X className="h-4 w-4" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto px-4 py-4">
+          <h4 className="mb-2 flex items-center gap-1 text-xs font-semibold uppercase tracking-wide text-slate-500"><Tag className="h-3.5 w-3.5" /> Tags</h4>
+          {tags.length === 0 && <p className="mb-4 text-sm text-slate-500">No tags yet. Add them to tasks in the task form.</p>}
+          <ul className="mb-5 grid gap-1.5">
+            {tags.map((tag) => (
+              <li key={tag.name} className="flex items-center gap-2 text-sm">
+                <input type="color" value={tag.color} onChange={(e) => onTagColor(tag.name, e.target.value)} className="h-6 w-6 cursor-pointer rounded border-0 bg-transparent p-0" title="Color" />
+                <TagChip name={tag.name} color={tag.color} />
+                <span className="text-xs text-slate-400">{tag.count} task{tag.count === 1 ? "" : "s"}</span>
+                <div className="ml-auto flex items-center gap-1">
+                  {tags.length > 1 && (
+                    <label className="relative rounded-lg p-1 text-slate-500 hover:bg-slate-50" title="Merge into another tag">
+                      <Merge className="h-3.5 w-3.5" />
+                      <select
+                        value=""
+                        onChange={(e) => e.target.value && onRenameTag(tag.name, e.target.value)}
+                        className="absolute inset-0 cursor-pointer opacity-0"
+                        aria-label={`Merge #${tag.name} into`}
+                      >
+                        <option value="">Merge into…</option>
+                        {tags.filter((t) => t !== tag).map((t) => <option key={t.name} value={t.name}>#{t.name}</option>)}
+                      </select>
+                    </label>
+                  )}
+                  <button onClick={() => rename(tag)} className="rounded-lg p-1 text-slate-500 hover:bg-slate-50" title="Rename">
+                    <Pencil className="h-3.5 w-3.5" />
+                  </button>
+                  <button onClick={() => remove(tag)} className="rounded-lg p-1 text-red-500 hover:bg-red-50" title="Delete">
+                    <Trash2 className="h-3.5 w-3.5" />
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+
+          <h4 className="mb-2 flex items-center gap-1 text-xs font-semibold uppercase tracking-wide text-slate-500"><FolderOpen className="h-3.5 w-3.5" /> Projects</h4>
+          <ul className="mb-2 grid gap-1.5">
+            {projects.map((p) => (
+              <li key={p.id} className="flex items-center gap-2 text-sm">
+                <input
+                  type="color"
+                  value={p.color}
+                  onChange={(e) => onProjectsChange(projects.map((x) => (x.id === p.id ? { ...x, color: e.target.value } : x)))}
+                  className="h-6 w-6 cursor-pointer rounded border-0 bg-transparent p-0"
+                  title="Color"
+                />
+                <span className="font-medium">{p.name}</span>
+                <span className="text-xs text-slate-400">{projectCounts[p.id] || 0} tasks</span>
+                <div className="ml-auto flex items-center gap-1">
+                  <button onClick={() => renameProject(p)} className="rounded-lg p-1 text-slate-500 hover:bg-slate-50" title="Rename">
+                    <Pencil className="h-3.5 w-3.5" />
+                  </button>
+                  <button onClick={() => removeProject(p)} className="rounded-lg p-1 text-red-500 hover:bg-red-50" title="Delete">
+                    <Trash2 className="h-3.5 w-3.5" />
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+          <button onClick={addProject} className="inline-flex items-center gap-1 rounded-2xl border border-dashed px-3 py-1.5 text-sm text-slate-500 hover:bg-slate-50">
+            <Plus className="h-4 w-4" /> New project
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,149 @@
+import React, { useState } from "react";
+import { Download, Monitor, Moon, Save, Sun, Trash2, Upload } from "lucide-react";
+import { uid } from "./taskModel";
+import { download } from "./formats";
+import { DEFAULT_THEME, FONTS, THEME_PRESETS, parseThemeFile, themeToFile } from "./theme";
+
+const MODE_OPTIONS = [["light", "Light", Sun], ["dark", "Dark", Moon], ["system", "System", Monitor]];
+
+// Appearance dialog. Presets fill in the form; custom presets ({ id, name,
+// theme }) are saved in synced settings and can be shared as JSON files.
+export default function ThemeSettings({ theme, customPresets, onPresetsChange, onClose, onSave }) {
+  const [draft, setDraft] = useState(theme);
+
+  function setColor(mode, key, value) {
+    setDraft((d) => ({ ...d, [mode]: { ...d[mode], [key]: value } }));
+  }
+
+  function saveAsPreset() {
+    const name = prompt("Name this theme");
+    if (!name?.trim()) return;
+    onPresetsChange([...customPresets, { id: uid(), name: name.trim(), theme: draft }]);
+  }
+
+  function removePreset(p) {
+    if (confirm(`Delete the theme "${p.name}"?`)) onPresetsChange(customPresets.filter((x) => x.id !== p.id));
+  }
+
+  function exportTheme() {
+    const name = prompt("Name for the shared theme", "House style");
+    if (!name?.trim()) return;
+    download(`theme-${name.trim().toLowerCase().replace(/\W+/g, "-")}.json`, themeToFile(name.trim(), draft), "application/json");
+  }
+
+  function importTheme(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const { name, theme: imported } = parseThemeFile(String(reader.result));
+        setDraft(imported);
+        onPresetsChange([...customPresets, { id: uid(), name, theme: imported }]);
+      } catch (e) {
+        alert("Could not import theme: " + e.message);
+      }
+    };
+    reader.readAsText(file);
+  }
+
+  const presetButton = (p, removable) => (
+    <div key={p.id} className="relative">
+      <button
+        onClick={() => setDraft(p.theme)}
+        className="flex w-full items-center gap-2 rounded-xl border px-2 py-1.5 text-left text-xs hover:bg-slate-50"
+        title={`Use ${p.name}`}
+      >
+        <span className="flex h-5 w-8 overflow-hidden rounded-md border">
+          <span className="flex-1" style={{ background: `linear-gradient(180deg, ${p.theme.light.bgFrom}, ${p.theme.light.accent})` }} />
+          <span className="flex-1" style={{ background: `linear-gradient(180deg, ${p.theme.dark.bgFrom}, ${p.theme.dark.accent})` }} />
+        </span>
+        <span className="truncate">{p.name}</span>
+      </button>
+      {removable && (
+        <button onClick={() => removePreset(p)} className="absolute right-1 top-1/2 -translate-y-1/2 rounded p-0.5 text-red-500 hover:bg-red-50" title="Delete">
+          <Trash2 className="h-3 w-3" />
+        </button>
+      )}
+    </div>
+  );
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center">
+      <div className="absolute inset-0 bg-black/30" onClick={onClose} />
+      <div className="relative max-h-[90vh] w-full max-w-md overflow-y-auto rounded-2xl border bg-white p-4 shadow-xl">
+        <h3 className="mb-2 text-sm font-semibold">Appearance</h3>
+        <div className="mb-3 grid gap-3">
+          <div>
+            <label className="block text-xs font-medium">Mode</label>
+            <div className="mt-1 inline-flex rounded-2xl border p-0.5 text-sm">
+              {MODE_OPTIONS.map(([value, label, Icon]) => (
+                <button
+                  key={value}
+                  onClick={() => setDraft((d) => ({ ...d, mode: value }))}
+                  aria-pressed={draft.mode === value}
+                  className={`inline-flex items-center gap-1.5 rounded-xl px-3 py-1.5 ${draft.mode === value ? "bg-slate-900 text-white" : "hover:bg-slate-50"}`}
+                >
+                  <Icon className="h-4 w-4" /> {label}
+                </button>
+              ))}
+            </div>
+          </div>
+          <div>
+            <label className="block text-xs font-medium">Presets</label>
+            <div className="mt-1 grid grid-cols-3 gap-1.5">
+              {THEME_PRESETS.map((p) => presetButton(p, false))}
+              {customPresets.map((p) => presetButton(p, true))}
+            </div>
+          </div>
+          <div>
+            <label className="block text-xs font-medium">Primary font</label>
+            <select value={draft.font} onChange={(e) => setDraft((d) => ({ ...d, font: e.target.value }))} className="mt-1 w-full rounded-2xl border bg-white px-3 py-2 text-sm">
+              {!FONTS.some(([value]) => value === draft.font) && <option value={draft.font}>Custom</option>}
+              {FONTS.map(([value, label]) => <option key={label} value={value}>{label}</option>)}
+            </select>
+          </div>
+          <div className="grid grid-cols-2 gap-3">
+            {[["light", "Light colors"], ["dark", "Dark colors"]].map(([mode, title]) => (
+              <fieldset key={mode} className="rounded-2xl border p-2">
+                <legend className="px-1 text-xs font-medium">{title}</legend>
+                {[["accent", "Accent"], ["bgFrom", "Background from"], ["bgTo", "Background to"]].map(([key, label]) => (
+                  <label key={key} className="flex items-center justify-between gap-2 py-0.5 text-xs">
+                    {label}
+                    <input type="color" value={draft[mode][key]} onChange={(e) => setColor(mode, key, e.target.value)} className="h-7 w-10 rounded-md border" />
+                  </label>
+                ))}
+              </fieldset>
+            ))}
+          </div>
+          <div className="flex flex-wrap gap-2 text-xs">
+            <button onClick={saveAsPreset} className="inline-flex items-center gap-1 rounded-xl border px-2.5 py-1.5 hover:bg-slate-50">
+              <Save className="h-3.5 w-3.5" /> Save as preset
+            </button>
+            <button onClick={exportTheme} className="inline-flex items-center gap-1 rounded-xl border px-2.5 py-1.5 hover:bg-slate-50">
+              <Download className="h-3.5 w-3.5" /> Export
+            </button>
+            <label className="inline-flex cursor-pointer items-center gap-1 rounded-xl border px-2.5 py-1.5 hover:bg-slate-50">
+              <Upload className="h-3.5 w-3.5" /> Import
+              <input
+                type="file"
+                accept=".json,application/json"
+                className="hidden"
+                onChange={(e) => {
+                  const f = e.target.files?.[0];
+                  if (f) importTheme(f);
+                  e.target.value = "";
+                }}
+              />
+            </label>
+          </div>
+        </div>
+        <div className="mt-4 flex justify-end gap-2">
+          <button onClick={onClose} className="rounded-2xl border px-4 py-2 text-sm hover:bg-slate-50">Cancel</button>
+          <button onClick={() => onSave(DEFAULT_THEME)} className="rounded-2xl border px-4 py-2 text-sm hover:bg-slate-50">Reset to default</button>
+          <button onClick={() => onSave(draft)} className="inline-flex items-center gap-2 rounded-2xl bg-slate-900 px-4 py-2 text-sm font-semibold text-white hover:bg-slate-800">
+            <Save className="h-4 w-4" /> Save
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
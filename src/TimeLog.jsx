@@ -0,0 +1,97 @@
+import React, { useState } from "react";
+import { Play, Plus, Square, Trash2 } from "lucide-react";
+import { entryMs, formatTracked, isRunning, manualEntry, parseDuration, trackedMs } from "./timeTracking";
+import { todayYMD } from "./dates";
+
+// Time log inside the task form. Unlike the other fields it edits the saved
+// task straight away (a running timer can't wait for "Save"), so `task` is
+// the live task, not the form's copy.
+export default function TimeLog({ task, now, onToggleTimer, onChange }) {
+  const [date, setDate] = useState(todayYMD);
+  const [duration, setDuration] = useState("");
+  const [note, setNote] = useState("");
+  const entries = [...(task.timeEntries || [])].sort((a, b) => b.start.localeCompare(a.start));
+  const running = isRunning(task);
+  const total = trackedMs(task, now);
+
+  function add() {
+    const minutes = parseDuration(duration);
+    if (!minutes || !date) {
+      alert("Enter a duration like 1h30m, 45m, 1:30 or 1.5");
+      return;
+    }
+    onChange("Log time", [...(task.timeEntries || []), manualEntry(date, minutes, note.trim())]);
+    setDuration("");
+    setNote("");
+  }
+
+  return (
+    <div>
+      <div className="mb-1 flex items-center justify-between gap-2">
+        <label className="block text-xs font-medium">
+          Time tracked: {formatTracked(total)}
+          {task.estimate ? <span className="text-slate-500"> of {task.estimate}h estimated</span> : null}
+        </label>
+        <button
+          type="button"
+          onClick={onToggleTimer}
+          className={`inline-flex items-center gap-1 rounded-xl border px-2.5 py-1 text-xs font-medium ${running ? "border-red-200 text-red-600 hover:bg-red-50" : "hover:bg-slate-50"}`}
+        >
+          {running ? <><Square className="h-3 w-3" /> Stop timer</> : <><Play className="h-3 w-3" /> Start timer</>}
+        </button>
+      </div>
+
+      {entries.length > 0 && (
+        <ul className="mb-2 grid gap-1 text-xs">
+          {entries.map((e) => (
+            <li key={e.id} className="flex items-center gap-2">
+              <span className="w-24 shrink-0 text-slate-500">{new Date(e.start).toLocaleDateString()}</span>
+              <span className={`w-20 shrink-0 font-medium ${e.end ? "" : "text-red-600"}`}>
+                {e.end ? formatTracked(entryMs(e)) : formatTracked(entryMs(e, now), true)}
+              </span>
+              <span className="min-w-0 flex-1 truncate text-slate-600">{e.note}</span>
+              {e.end && (
+                <button
+                  type="button"
+                  onClick={() => onChange("Delete time entry", task.timeEntries.filter((x) => x.id !== e.id))}
+                  className="text-slate-400 hover:text-red-600"
+                  title="Delete entry"
+                >
+                  <Trash2 className="h-3.5 w-3.5" />
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="flex gap-2">
+        <input
+          type="date"
+          value={date}
+          onChange={(e) => setDate(e.target.value)}
+          className="rounded-2xl border px-3 py-1.5 text-sm outline-none ring-slate-200 focus:ring"
+          aria-label="Date"
+        />
+        <input
+          value={duration}
+          onChange={(e) => setDuration(e.target.value)}
+          onKeyDown={(e) => { if (e.key === "Enter") { e.preventDefault(); add(); } }}
+          placeholder="1h30m"
+          className="w-20 rounded-2xl border px-3 py-1.5 text-sm outline-none ring-slate-200 focus:ring"
+          aria-label="Duration"
+        />
+        <input
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+          onKeyDown={(e) => { if (e.key === "Enter") { e.preventDefault(); add(); } }}
+          placeholder="Note (optional)"
+          className="min-w-0 flex-1 rounded-2xl border px-3 py-1.5 text-sm outline-none ring-slate-200 focus:ring"
+        />
+        <button type="button" onClick={add} className="rounded-2xl border px-3 py-1.5 text-sm hover:bg-slate-50" title="Add time entry">
+          <Plus className="h-4 w-4" />
+        </button>
+      </div>
+    </div>
+  );
+}
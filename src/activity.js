@@ -0,0 +1,63 @@
+// Per-task activity log: every local edit appends field-level entries
+// { at, field, from, to } to the task's `activity` array. A task's first
+// entry is { at, field: "created" }.
+
+import { progress } from "./taskModel";
+import { describeRule } from "./recurrence";
+import { formatDue } from "./reminders";
+
+const ACTIVITY_LIMIT = 200; // oldest entries are dropped past this
+
+// field -> how to render its value in the log (null/"" means "none")
+const TRACKED = {
+  title: (t) => t.title,
+  priority: (t) => t.priority,
+  status: (t) => t.status,
+  due: (t) => (t.due ? formatDue(t) : null),
+  estimate: (t) => (t.estimate ? `${t.estimate}h` : null),
+  recurrence: (t) => (t.recurrence ? describeRule(t.recurrence) : null),
+  tags: (t) => (t.tags?.length ? t.tags.join(", ") : null),
+  project: (t) => t.project || null, // an id; the timeline shows the name
+  blockedBy: (t) => (t.blockedBy?.length ? `${t.blockedBy.length} task${t.blockedBy.length === 1 ? "" : "s"}` : null),
+  checklist: (t) => {
+    const { done, total } = progress(t);
+    return total ? `${done}/${total}` : null;
+  },
+};
+
+function entriesFor(before, after, at) {
+  const out = [];
+  Object.entries(TRACKED).forEach(([field, read]) => {
+    const from = read(before);
+    const to = read(after);
+    if (from !== to) out.push({ at, field, from, to });
+  });
+  // checklist items renamed in place (adding or removing one shows in the count)
+  const oldTitles = new Map((before.subtasks || []).map((s) => [s.id, s.title]));
+  (after.subtasks || []).forEach((s) => {
+    const from = oldTitles.get(s.id);
+    if (from !== undefined && from !== s.title) out.push({ at, field: "checklistItem", from, to: s.title });
+  });
+  // notes can be long; log that they changed, not their content
+  if ((before.notes || "") !== (after.notes || "")) {
+    out.push({ at, field: "notes", from: null, to: after.notes ? "edited" : "cleared" });
+  }
+  return out;
+}
+
+// Compare two task lists and append activity to each task that changed.
+// Tasks that are new (or carry no activity yet) get a "created" entry.
+export function logActivity(prev, next) {
+  const before = new Map(prev.map((t) => [t.id, t]));
+  const at = new Date().toISOString();
+  return next.map((t) => {
+    const old = before.get(t.id);
+    if (old === t) return t;
+    if (!old || !t.activity?.length) {
+      return { ...t, activity: [{ at: old ? t.createdAt : at, field: "created" }, ...(old ? entriesFor(old, t, at) : [])] };
+    }
+    const added = entriesFor(old, t, at);
+    if (added.length === 0) return t;
+    return { ...t, activity: [...t.activity, ...added].slice(-ACTIVITY_LIMIT) };
+  });
+}
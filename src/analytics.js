@@ -0,0 +1,123 @@
+// Throughput metrics for the dashboard, computed from task timestamps:
+// createdAt, plus the status changes recorded in each task's activity log.
+// Tasks that were finished before activity was logged fall back to updatedAt
+// as their completion time.
+
+import { PRIORITY_ORDER, STATUS_ORDER } from "./taskModel";
+import { addDays, localYMD, parseYMD, todayYMD, weekday } from "./dates";
+
+const DAY_MS = 86400000;
+
+// Longest range the dashboard charts, so a stray year in a date input
+// can't build a day list decades long.
+export const MAX_RANGE_DAYS = 366;
+
+// When the task last moved to Done (ISO string), or null if it's open.
+export function completedAt(t) {
+  if (t.status !== "Done") return null;
+  const entry = [...(t.activity || [])].reverse().find((a) => a.field === "status" && a.to === "Done");
+  return entry ? entry.at : t.updatedAt;
+}
+
+// When work started: the last move to In Progress before completion.
+export function startedAt(t) {
+  const done = completedAt(t);
+  const entry = [...(t.activity || [])]
+    .reverse()
+    .find((a) => a.field === "status" && a.to === "In Progress" && (!done || a.at <= done));
+  return entry ? entry.at : null;
+}
+
+function days(fromIso, toIso) {
+  return (new Date(toIso) - new Date(fromIso)) / DAY_MS;
+}
+
+function average(nums) {
+  return nums.length ? nums.reduce((a, b) => a + b, 0) / nums.length : null;
+}
+
+// Monday of the week containing ymd.
+export function weekStart(ymd) {
+  return addDays(ymd, -((weekday(ymd) + 6) % 7));
+}
+
+// Inclusive list of days from..to.
+function eachDay(from, to) {
+  const out = [];
+  for (let d = from; d <= to; d = addDays(d, 1)) out.push(d);
+  return out;
+}
+
+// Everything the dashboard shows for the range from..to ("YYYY-MM-DD",
+// inclusive, at most MAX_RANGE_DAYS). Timestamps count on their local day,
+// like todayYMD. Snapshot figures (overdue, distribution) are as of today.
+export function computeAnalytics(tasks, from, to, today = todayYMD()) {
+  ({ from, to } = clampRange(from, to));
+  const rows = tasks.map((t) => ({
+    t,
+    created: localYMD(t.createdAt),
+    doneAt: completedAt(t),
+    startAt: startedAt(t),
+  }));
+
+  // open tasks at the end of each day
+  const burndown = eachDay(from, to).map((day) => ({
+    day,
+    open: rows.filter((r) => r.created <= day && (!r.doneAt || localYMD(r.doneAt) > day)).length,
+  }));
+
+  const weeks = new Map();
+  for (let w = weekStart(from); w <= to; w = addDays(w, 7)) weeks.set(w, 0);
+  const finished = rows.filter((r) => r.doneAt && localYMD(r.doneAt) >= from && localYMD(r.doneAt) <= to);
+  finished.forEach((r) => {
+    const w = weekStart(localYMD(r.doneAt));
+    weeks.set(w, (weeks.get(w) || 0) + 1);
+  });
+  const perWeek = [...weeks].map(([week, count]) => ({ week, count }));
+
+  const leadTime = average(finished.map((r) => days(r.t.createdAt, r.doneAt)));
+  const cycled = finished.filter((r) => r.startAt);
+  const cycleTime = average(cycled.map((r) => days(r.startAt, r.doneAt)));
+
+  const overdue = Object.fromEntries(Object.keys(PRIORITY_ORDER).map((p) => [p, 0]));
+  tasks
+    .filter((t) => t.status !== "Done" && t.due && t.due < today)
+    .forEach((t) => { overdue[t.priority] = (overdue[t.priority] || 0) + 1; });
+
+  // priority -> status -> count
+  const distribution = Object.fromEntries(
+    Object.keys(PRIORITY_ORDER).map((p) => [p, Object.fromEntries(Object.keys(STATUS_ORDER).map((s) => [s, 0]))])
+  );
+  tasks.forEach((t) => {
+    if (distribution[t.priority]?.[t.status] !== undefined) distribution[t.priority][t.status] += 1;
+  });
+
+  return {
+    burndown,
+    perWeek,
+    completed: finished.length,
+    created: rows.filter((r) => r.created >= from && r.created <= to).length,
+    leadTime,
+    cycleTime,
+    cycleSample: cycled.length,
+    overdue,
+    distribution,
+  };
+}
+
+// "3.2 days" / "5 hours" for the lead and cycle time cards.
+export function formatDays(d) {
+  if (d === null) return "—";
+  if (d < 1) return `${Math.round(d * 24)} hours`;
+  return `${d.toFixed(1)} days`;
+}
+
+export function rangeDays(from, to) {
+  return Math.round((parseYMD(to) - parseYMD(from)) / DAY_MS) + 1;
+}
+
+// The last MAX_RANGE_DAYS days of from..to.
+export function clampRange(from, to) {
+  if (rangeDays(from, to) <= MAX_RANGE_DAYS) return { from, to };
+  return { from: addDays(to, -(MAX_RANGE_DAYS - 1)), to };
+}
@@ -0,0 +1,60 @@
+// Small files attached to tasks. The contents live in IndexedDB (see the
+// files store in taskDb.js); a task lists its attachments as
+// `attachments: [{ id, name, type, size }]`. Removing an attachment from a
+// task keeps the file, so undo can bring it back; unused files are only
+// deleted when the user frees the space.
+
+import { uid } from "./taskModel";
+import { deleteFiles, getAllFiles, putFiles } from "./taskDb";
+
+export const MAX_ATTACHMENT_BYTES = 2 * 1024 * 1024;
+export const ATTACHMENT_QUOTA_BYTES = 25 * 1024 * 1024;
+
+export function formatBytes(n) {
+  if (n < 1024) return `${n} B`;
+  if (n < 1024 * 1024) return `${Math.round(n / 1024)} KB`;
+  return `${(n / 1024 / 1024).toFixed(1)} MB`;
+}
+
+export function isImage(a) {
+  return /^image\/(png|jpe?g|gif|webp|avif|bmp)$/i.test(a.type);
+}
+
+function referencedIds(tasks) {
+  return new Set(tasks.flatMap((t) => (t.attachments || []).map((a) => a.id)));
+}
+
+// { used, unusedIds, unusedBytes } across all stored files.
+export async function storageUsage(tasks) {
+  const files = await getAllFiles();
+  const referenced = referencedIds(tasks);
+  const unused = files.filter((f) => !referenced.has(f.id));
+  return {
+    used: files.reduce((sum, f) => sum + f.size, 0),
+    unusedIds: unused.map((f) => f.id),
+    unusedBytes: unused.reduce((sum, f) => sum + f.size, 0),
+  };
+}
+
+// Store picked files and return their metadata for the task. Throws, before
+// storing anything, if a file is too big or the batch would pass the quota.
+export async function saveAttachments(fileList, tasks) {
+  const files = [...fileList];
+  const tooBig = files.find((f) => f.size > MAX_ATTACHMENT_BYTES);
+  if (tooBig) throw new Error(`"${tooBig.name}" is ${formatBytes(tooBig.size)}; attachments can be up to ${formatBytes(MAX_ATTACHMENT_BYTES)}`);
+  const { used } = await storageUsage(tasks);
+  const adding = files.reduce((sum, f) => sum + f.size, 0);
+  if (used + adding > ATTACHMENT_QUOTA_BYTES) {
+    throw new Error(`Not enough attachment space: ${formatBytes(ATTACHMENT_QUOTA_BYTES - used)} left of ${formatBytes(ATTACHMENT_QUOTA_BYTES)}`);
+  }
+  const createdAt = new Date().toISOString();
+  const records = files.map((f) => ({ id: uid(), name: f.name, type: f.type || "application/octet-stream", size: f.size, blob: f, createdAt }));
+  await putFiles(records);
+  return records.map(({ id, name, type, size }) => ({ id, name, type, size }));
+}
+
+export async function freeUnused(tasks) {
+  const { unusedIds } = await storageUsage(tasks);
+  await deleteFiles(unusedIds);
+  return unusedIds.length;
+}
@@ -0,0 +1,32 @@
+// Full backup: a .zip holding backup.json (the same envelope as the JSON
+// export) and every attached file as attachments/<id>/<name>.
+
+import { makeZip, readZip } from "./zip";
+import { getAllFiles } from "./taskDb";
+
+const BACKUP_JSON = "backup.json";
+const FILE_RE = /^attachments\/([\w-]+)\/(.+)$/;
+
+export async function makeBackupZip(envelope) {
+  const ids = new Set(envelope.tasks.flatMap((t) => (t.attachments || []).map((a) => a.id)));
+  const stored = (await getAllFiles()).filter((f) => ids.has(f.id));
+  const files = [{ name: BACKUP_JSON, data: new TextEncoder().encode(JSON.stringify(envelope, null, 2)) }];
+  for (const f of stored) {
+    files.push({ name: `attachments/${f.id}/${f.name.replace(/[\\/]/g, "_")}`, data: new Uint8Array(await f.blob.arrayBuffer()) });
+  }
+  return makeZip(files);
+}
+
+// Returns { text, files: [{ id, name, data }] }; `text` goes to parseBackup.
+export async function readBackupZip(buffer) {
+  const entries = await readZip(buffer);
+  const json = entries.find((e) => e.name === BACKUP_JSON);
+  if (!json) throw new Error(`${BACKUP_JSON} is missing from the zip`);
+  const files = entries
+    .map((e) => {
+      const m = e.name.match(FILE_RE);
+      return m && { id: m[1], name: m[2], data: e.data };
+    })
+    .filter(Boolean);
+  return { text: new TextDecoder().decode(json.data), files };
+}
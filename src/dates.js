@@ -0,0 +1,31 @@
+// Date-only helpers. Task dates are "YYYY-MM-DD" strings; they are handled
+// in UTC so the local time zone can never shift them by a day.
+
+export function parseYMD(ymd) {
+  return new Date(`${ymd}T00:00:00Z`);
+}
+
+export function formatYMD(d) {
+  return d.toISOString().slice(0, 10);
+}
+
+export function addDays(ymd, n) {
+  const d = parseYMD(ymd);
+  d.setUTCDate(d.getUTCDate() + n);
+  return formatYMD(d);
+}
+
+// The local calendar day of a timestamp (Date or ISO string).
+export function localYMD(when) {
+  const d = new Date(when);
+  return formatYMD(new Date(Date.UTC(d.getFullYear(), d.getMonth(), d.getDate())));
+}
+
+// Today in the user's local calendar.
+export function todayYMD() {
+  return localYMD(new Date());
+}
+
+export function weekday(ymd) {
+  return parseYMD(ymd).getUTCDay();
+}
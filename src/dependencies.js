@@ -0,0 +1,80 @@
+// "Blocked by" links. Each task keeps `blockedBy: [taskId]`; a task is
+// blocked while any of those tasks exists and isn't Done. Links to deleted
+// tasks are ignored rather than cleaned up, so undoing a delete restores them.
+
+export function taskIndex(tasks) {
+  return new Map(tasks.map((t) => [t.id, t]));
+}
+
+// Blockers that still hold the task up.
+export function openBlockers(t, byId) {
+  return (t.blockedBy || []).map((id) => byId.get(id)).filter((b) => b && b.status !== "Done");
+}
+
+export function isBlocked(t, byId) {
+  return openBlockers(t, byId).length > 0;
+}
+
+// If task `id` were blocked by `blockedBy`, would that close a loop? Returns
+// the loop as a list of tasks (starting and ending at `id`), or null.
+export function findCycle(tasks, id, blockedBy) {
+  const byId = taskIndex(tasks);
+  const edges = (tid) => (tid === id ? blockedBy : byId.get(tid)?.blockedBy || []);
+  const seen = new Set();
+  function walk(tid, path) {
+    if (tid === id) return path;
+    if (seen.has(tid)) return null;
+    seen.add(tid);
+    for (const next of edges(tid)) {
+      const found = walk(next, [...path, next]);
+      if (found) return found;
+    }
+    return null;
+  }
+  for (const start of blockedBy) {
+    const found = walk(start, [id, start]);
+    if (found) return found.map((tid) => byId.get(tid)).filter(Boolean);
+  }
+  return null;
+}
+
+// Order `list` so blockers come before what they block. Among tasks that are
+// ready at the same point, the one heading the longest chain of open
+// dependents (the critical path) goes first, then `compare` breaks ties.
+// Links to Done tasks or tasks outside `list` are ignored; anything caught in
+// a cycle goes last.
+export function dependencyOrder(list, compare) {
+  const inList = taskIndex(list);
+  const blockers = new Map(list.map((t) => [t.id, (t.blockedBy || []).filter((b) => b !== t.id && inList.has(b) && inList.get(b).status !== "Done")]));
+  const dependents = new Map(list.map((t) => [t.id, []]));
+  blockers.forEach((bs, id) => bs.forEach((b) => dependents.get(b).push(id)));
+
+  // longest chain of dependents below each task, counting the task itself
+  const depth = new Map();
+  function chain(id, visiting = new Set()) {
+    if (depth.has(id)) return depth.get(id);
+    if (visiting.has(id)) return 0;
+    visiting.add(id);
+    const d = 1 + Math.max(0, ...dependents.get(id).map((x) => chain(x, visiting)));
+    visiting.delete(id);
+    depth.set(id, d);
+    return d;
+  }
+  list.forEach((t) => chain(t.id));
+
+  const waiting = new Map(list.map((t) => [t.id, blockers.get(t.id).length]));
+  const byPath = (a, b) => depth.get(b.id) - depth.get(a.id) || compare(a, b);
+  let ready = list.filter((t) => waiting.get(t.id) === 0);
+  const out = [];
+  while (ready.length) {
+    ready.sort(byPath);
+    const t = ready.shift();
+    out.push(t);
+    dependents.get(t.id).forEach((id) => {
+      waiting.set(id, waiting.get(id) - 1);
+      if (waiting.get(id) === 0) ready.push(inList.get(id));
+    });
+  }
+  const placed = new Set(out.map((t) => t.id));
+  return [...out, ...list.filter((t) => !placed.has(t.id)).sort(compare)];
+}
@@ -0,0 +1,257 @@
+// Export/import formats besides JSON: CSV (spreadsheets), Markdown
+// checklists (docs and PRs) and iCalendar (deadlines in calendar apps).
+// Parsers return raw objects; callers run them through normalizeTask.
+
+import { PRIORITY_ORDER, STATUS_ORDER, uid } from "./taskModel";
+import { toRRule } from "./recurrence";
+import { formatDue } from "./reminders";
+
+export function download(filename, text, type) {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+// ---- CSV ----
+
+export const CSV_COLUMNS = ["id", "title", "notes", "priority", "status", "due", "dueTime", "reminders", "estimate", "timeEntries", "subtasks", "autoStatus", "recurrence", "seriesId", "order", "tags", "project", "blockedBy", "activity", "createdAt", "updatedAt"];
+
+// Checklist items go in one cell, one "[x] title" per line.
+function subtasksToCell(subs) {
+  return (subs || []).map((s) => `[${s.done ? "x" : " "}] ${s.title}`).join("\n");
+}
+
+function cellToSubtasks(cell) {
+  return cell.split(/\r?\n/).map((line) => line.match(/^\[([ xX])\]\s*(.+)$/)).filter(Boolean)
+    .map((m) => ({ title: m[2], done: m[1].toLowerCase() === "x" }));
+}
+
+function csvCell(v) {
+  const s = v === undefined || v === null ? "" : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function toCSV(tasks, columns = CSV_COLUMNS) {
+  const value = (t, c) => {
+    if (c === "subtasks") return subtasksToCell(t.subtasks);
+    if (c === "recurrence") return t.recurrence ? JSON.stringify(t.recurrence) : "";
+    if (c === "reminders") return t.reminders?.length ? JSON.stringify(t.reminders) : "";
+    if (c === "timeEntries") return t.timeEntries?.length ? JSON.stringify(t.timeEntries) : "";
+    if (c === "tags") return (t.tags || []).join(", ");
+    if (c === "blockedBy") return (t.blockedBy || []).join(" ");
+    if (c === "activity") return t.activity?.length ? JSON.stringify(t.activity) : "";
+    return t[c];
+  };
+  const rows = [columns, ...tasks.map((t) => columns.map((c) => value(t, c)))];
+  return rows.map((r) => r.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+// RFC 4180 parser: quoted fields may contain commas, quotes and newlines.
+function parseCSVRows(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ",") {
+      row.push(field); field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(field); rows.push(row); row = []; field = "";
+    } else {
+      field += c;
+    }
+  }
+  if (field !== "" || row.length > 0) { row.push(field); rows.push(row); }
+  return rows.filter((r) => r.some((f) => f !== ""));
+}
+
+// A JSON cell that doesn't parse (e.g. mangled by a spreadsheet) falls back
+// to `empty` instead of failing the whole import.
+function jsonCell(cell, empty) {
+  if (!cell) return empty;
+  try {
+    return JSON.parse(cell);
+  } catch {
+    return empty;
+  }
+}
+
+// Rows without an id get a fresh one, so hand-written sheets import as new tasks.
+export function parseCSV(text) {
+  const [header, ...rows] = parseCSVRows(text.replace(/^\uFEFF/, ""));
+  if (!header || !header.includes("title")) throw new Error("CSV needs a header row with a 'title' column");
+  return rows.map((r) => {
+    const obj = {};
+    header.forEach((h, i) => { if (r[i] !== undefined && r[i] !== "") obj[h.trim()] = r[i]; });
+    return {
+      ...obj,
+      id: obj.id || uid(),
+      subtasks: obj.subtasks ? cellToSubtasks(obj.subtasks) : [],
+      autoStatus: obj.autoStatus === "true",
+      recurrence: jsonCell(obj.recurrence, null),
+      reminders: jsonCell(obj.reminders, []),
+      timeEntries: jsonCell(obj.timeEntries, []),
+      tags: obj.tags ? obj.tags.split(",") : [],
+      blockedBy: obj.blockedBy ? obj.blockedBy.split(/\s+/).filter(Boolean) : [],
+      activity: jsonCell(obj.activity, []),
+    };
+  });
+}
+
+// ---- Markdown checklist ----
+
+// - [ ] title (Urgent, due 2026-10-20 14:00, #work)
+//   - [x] checklist item
+export function toMarkdown(tasks) {
+  return tasks.map((t) => {
+    const meta = [t.priority];
+    if (t.status === "In Progress") meta.push(t.status);
+    if (t.due) meta.push(`due ${formatDue(t)}`);
+    (t.tags || []).forEach((tag) => meta.push(`#${tag}`));
+    const lines = [`- [${t.status === "Done" ? "x" : " "}] ${t.title} (${meta.join(", ")})`];
+    (t.subtasks || []).forEach((s) => lines.push(`  - [${s.done ? "x" : " "}] ${s.title}`));
+    return lines.join("\n");
+  }).join("\n") + "\n";
+}
+
+// Task fields a Markdown checklist carries, for diffImport.
+export const MARKDOWN_FIELDS = ["title", "priority", "status", "due", "dueTime", "tags", "subtasks"];
+
+const CHECKLIST_RE = /^(\s*)[-*+]\s+\[([ xX])\]\s+(.+?)\s*$/;
+const META_RE = /^(.*?)\s*\(([^()]*)\)$/;
+
+// Only a trailing "(...)" made entirely of known parts is treated as metadata;
+// anything else stays part of the title.
+function parseMeta(text) {
+  const m = text.match(META_RE);
+  if (!m) return { title: text };
+  const out = { title: m[1] };
+  for (const part of m[2].split(",").map((p) => p.trim()).filter(Boolean)) {
+    const due = part.match(/^due\s+(\d{4}-\d{2}-\d{2})(?:\s+(\d{2}:\d{2}))?$/i);
+    const tag = part.match(/^#(.+)$/);
+    if (part in PRIORITY_ORDER) out.priority = part;
+    else if (part in STATUS_ORDER) out.status = part;
+    else if (due) Object.assign(out, { due: due[1], dueTime: due[2] });
+    else if (tag) out.tags = [...(out.tags || []), tag[1]];
+    else return { title: text };
+  }
+  return out.title ? out : { title: text };
+}
+
+// Indented items become checklist entries of the task above them.
+export function parseMarkdown(text) {
+  const now = new Date().toISOString();
+  const tasks = [];
+  text.split(/\r?\n/).map((line) => line.match(CHECKLIST_RE)).filter(Boolean).forEach((m) => {
+    const checked = m[2].toLowerCase() === "x";
+    const parent = tasks[tasks.length - 1];
+    if (m[1].length > 0 && parent) {
+      parent.subtasks.push({ title: m[3], done: checked });
+      return;
+    }
+    const meta = parseMeta(m[3]);
+    tasks.push({
+      ...meta,
+      id: uid(),
+      status: checked ? "Done" : meta.status || "Todo",
+      subtasks: [],
+      createdAt: now,
+      updatedAt: now,
+    });
+  });
+  return tasks;
+}
+
+// ---- iCalendar ----
+
+function icsEscape(s) {
+  return String(s).replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+}
+
+const utf8 = new TextEncoder();
+
+// Lines longer than 75 octets are folded with a leading space (RFC 5545
+// 3.1), counting UTF-8 bytes and never splitting a character.
+function icsFold(line) {
+  const parts = [];
+  let part = "";
+  let bytes = 0;
+  for (const ch of line) {
+    const size = utf8.encode(ch).length;
+    // continuation lines spend one octet on the leading space
+    if (bytes + size > (parts.length ? 74 : 75)) {
+      parts.push(part);
+      part = "";
+      bytes = 0;
+    }
+    part += ch;
+    bytes += size;
+  }
+  parts.push(part);
+  return parts.map((p, i) => (i ? " " : "") + p).join("\r\n");
+}
+
+function icsStamp(iso) {
+  return new Date(iso).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+function icsDate(ymd) {
+  return ymd.replace(/-/g, "");
+}
+
+// Floating local time, e.g. 20261020T143000
+function icsDateTime(ymd, time) {
+  return `${icsDate(ymd)}T${time.replace(":", "")}00`;
+}
+
+function nextDay(ymd) {
+  const d = new Date(`${ymd}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + 1);
+  return d.toISOString().slice(0, 10);
+}
+
+const ICS_PRIORITY = { Urgent: 1, High: 3, Normal: 5, Low: 9 };
+
+// Open tasks with a due date become VEVENTs, which every calendar app shows
+// (VTODO support is patchy): all-day, or 30 minutes at the due time when
+// there is one. Done tasks are left out.
+export function toICS(tasks) {
+  const now = icsStamp(new Date().toISOString());
+  const events = tasks
+    .filter((t) => t.due && t.status !== "Done" && /^\d{4}-\d{2}-\d{2}$/.test(t.due))
+    .flatMap((t) => [
+      "BEGIN:VEVENT",
+      `UID:${t.id}@task-prioritizer`,
+      `DTSTAMP:${now}`,
+      ...(t.dueTime
+        ? [`DTSTART:${icsDateTime(t.due, t.dueTime)}`, "DURATION:PT30M"]
+        : [`DTSTART;VALUE=DATE:${icsDate(t.due)}`, `DTEND;VALUE=DATE:${icsDate(nextDay(t.due))}`]),
+      `SUMMARY:${icsEscape(`${t.title} [${t.priority}]`)}`,
+      ...(t.notes ? [`DESCRIPTION:${icsEscape(t.notes)}`] : []),
+      ...(t.tags?.length ? [`CATEGORIES:${t.tags.map(icsEscape).join(",")}`] : []),
+      ...(t.recurrence && toRRule(t.recurrence) ? [`RRULE:${toRRule(t.recurrence)}`] : []),
+      `PRIORITY:${ICS_PRIORITY[t.priority] ?? 5}`,
+      `LAST-MODIFIED:${icsStamp(t.updatedAt)}`,
+      "END:VEVENT",
+    ]);
+  return [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Task Prioritizer//EN",
+    "CALSCALE:GREGORIAN",
+    ...events,
+    "END:VCALENDAR",
+  ].map(icsFold).join("\r\n") + "\r\n";
+}
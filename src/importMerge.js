@@ -0,0 +1,76 @@
+// Merge-aware import: match incoming tasks to existing ones by id, classify
+// the differences, then apply them with a per-conflict strategy.
+
+import { uid } from "./taskModel";
+
+// Compare everything except updatedAt, independent of key order, or only
+// `fields` when the file format carries just those. Checklist item ids
+// aren't kept by CSV/Markdown, so items compare by title and state.
+function sameContent(a, b, fields) {
+  const strip = (t) => {
+    const out = {};
+    Object.keys(t).sort().forEach((k) => {
+      if (k === "updatedAt" || t[k] === undefined || (fields && !fields.includes(k))) return;
+      out[k] = k === "subtasks" ? t[k].map((s) => [s.title, s.done]) : t[k];
+    });
+    return JSON.stringify(out);
+  };
+  return strip(a) === strip(b);
+}
+
+// Returns { added, updated, unchanged, conflicts }. An incoming task that
+// differs and is strictly newer is an update; if ours is as new or newer, we
+// have edits the file doesn't know about, so it's a conflict.
+// updated/conflicts hold { mine, theirs } pairs. `fields` limits the
+// comparison to what the source format carries (CSV_COLUMNS, MARKDOWN_FIELDS);
+// leave it out for JSON backups, which carry everything.
+export function diffImport(existing, incoming, fields) {
+  const byId = new Map(existing.map((t) => [t.id, t]));
+  const result = { added: [], updated: [], unchanged: [], conflicts: [] };
+  const seen = new Set();
+  incoming.forEach((theirs) => {
+    if (seen.has(theirs.id)) return; // duplicate ids in a file: first one wins
+    seen.add(theirs.id);
+    const mine = byId.get(theirs.id);
+    if (!mine) result.added.push(theirs);
+    else if (sameContent(mine, theirs, fields)) result.unchanged.push(theirs);
+    else if (new Date(theirs.updatedAt) > new Date(mine.updatedAt)) result.updated.push({ mine, theirs });
+    else result.conflicts.push({ mine, theirs });
+  });
+  return result;
+}
+
+// Theirs laid over mine, taking only `fields` when the format carries just
+// those, so a CSV import keeps attachments, snoozes and the like. Checklist
+// items that match by title keep their ids.
+function overlay(mine, theirs, fields) {
+  if (!fields) return theirs;
+  const out = { ...mine, updatedAt: theirs.updatedAt };
+  fields.forEach((k) => { if (k !== "id") out[k] = theirs[k]; });
+  if (fields.includes("subtasks")) {
+    const ids = new Map();
+    (mine.subtasks || []).forEach((s) => { if (!ids.has(s.title)) ids.set(s.title, s.id); });
+    out.subtasks = (theirs.subtasks || []).map((s) => {
+      const id = ids.get(s.title);
+      ids.delete(s.title);
+      return id ? { ...s, id } : s;
+    });
+  }
+  return out;
+}
+
+// strategies: { [id]: "mine" | "theirs" | "both" }, defaulting to "mine".
+// Taking theirs in a conflict is a new local edit, so it gets a fresh
+// updatedAt (otherwise storage and other tabs would reject the older copy).
+// `fields` is the same as for diffImport.
+export function applyImport(existing, diff, strategies = {}, fields) {
+  const now = new Date().toISOString();
+  const replace = new Map(diff.updated.map(({ mine, theirs }) => [theirs.id, overlay(mine, theirs, fields)]));
+  const extra = [...diff.added];
+  diff.conflicts.forEach(({ mine, theirs }) => {
+    const s = strategies[theirs.id] || "mine";
+    if (s === "theirs") replace.set(theirs.id, { ...overlay(mine, theirs, fields), updatedAt: now });
+    else if (s === "both") extra.push({ ...theirs, id: uid(), title: `${theirs.title} (imported)` });
+  });
+  return [...extra, ...existing.map((t) => replace.get(t.id) || t)];
+}
@@ -0,0 +1,179 @@
+// The Markdown subset used for task notes. Parsing produces plain data that
+// MarkdownNotes.jsx turns into React elements, so nothing in a note ever
+// reaches the page as HTML: tags in the text show up as text, and links
+// only keep http(s), mailto and attachment: targets.
+//
+//   # Heading (levels 1-6)       ``` fenced code ```     > quote
+//   - item  * item  1. item      - [ ] open  - [x] done  ---
+//   **bold** *italic* _italic_ ~~struck~~ `code` [text](url) ![alt](url)
+//   bare https://links, and \* to escape a marker
+
+const FENCE_RE = /^\s*(```|~~~)\s*([\w+-]*)\s*$/;
+const HEADING_RE = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const HR_RE = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/;
+const QUOTE_RE = /^\s{0,3}>\s?(.*)$/;
+const ITEM_RE = /^(\s*)([-*+]|\d+[.)])\s+(?:\[([ xX])\](?:\s+|$))?(.*)$/;
+
+function startsBlock(line) {
+  return FENCE_RE.test(line) || HEADING_RE.test(line) || HR_RE.test(line) || QUOTE_RE.test(line) || ITEM_RE.test(line);
+}
+
+// Blocks: { type: "code", lang, text } | { type: "heading", level, inline }
+// | { type: "hr" } | { type: "quote", lines } | { type: "para", lines }
+// | { type: "list", ordered, start, items: [{ depth, checked, line, inline }] }
+// where `lines` hold inline runs and `checked` is null for a plain item.
+// `line` is the item's line number in the source, for toggleTaskLine.
+export function parseNotes(text) {
+  const lines = String(text || "").split(/\r?\n/);
+  const blocks = [];
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    if (!line.trim()) { i++; continue; }
+
+    const fence = line.match(FENCE_RE);
+    if (fence) {
+      const body = [];
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith(fence[1])) body.push(lines[i++]);
+      i++; // closing fence (or the end of the note)
+      blocks.push({ type: "code", lang: fence[2], text: body.join("\n") });
+      continue;
+    }
+
+    const heading = line.match(HEADING_RE);
+    if (heading) {
+      blocks.push({ type: "heading", level: heading[1].length, inline: parseInline(heading[2]) });
+      i++;
+      continue;
+    }
+
+    if (HR_RE.test(line)) {
+      blocks.push({ type: "hr" });
+      i++;
+      continue;
+    }
+
+    if (QUOTE_RE.test(line)) {
+      const quoted = [];
+      while (i < lines.length && QUOTE_RE.test(lines[i])) quoted.push(parseInline(lines[i++].match(QUOTE_RE)[1]));
+      blocks.push({ type: "quote", lines: quoted });
+      continue;
+    }
+
+    const first = line.match(ITEM_RE);
+    if (first) {
+      const ordered = /\d/.test(first[2]);
+      const items = [];
+      let m;
+      // a list runs while items keep the same kind of marker
+      while (i < lines.length && (m = lines[i].match(ITEM_RE)) && /\d/.test(m[2]) === ordered) {
+        items.push({
+          depth: Math.floor(m[1].replace(/\t/g, "  ").length / 2),
+          checked: m[3] === undefined ? null : m[3] !== " ",
+          line: i,
+          inline: parseInline(m[4]),
+        });
+        i++;
+      }
+      blocks.push({ type: "list", ordered, start: ordered ? parseInt(first[2], 10) : 1, items });
+      continue;
+    }
+
+    const para = [];
+    while (i < lines.length && lines[i].trim() && !(para.length && startsBlock(lines[i]))) para.push(parseInline(lines[i++]));
+    blocks.push({ type: "para", lines: para });
+  }
+  return blocks;
+}
+
+// Flip the checkbox of the task item on source line `line`.
+export function toggleTaskLine(text, line) {
+  const lines = String(text || "").split(/\r?\n/);
+  if (line < 0 || line >= lines.length) return text;
+  lines[line] = lines[line].replace(/^(\s*(?:[-*+]|\d+[.)])\s+\[)([ xX])\]/, (_, pre, mark) => `${pre}${mark === " " ? "x" : " "}]`);
+  return lines.join("\n");
+}
+
+// Link and image targets allowed through; anything else (javascript:,
+// data:, relative paths...) is dropped and the markup shows as text.
+export function safeUrl(url) {
+  const u = String(url).trim();
+  return /^(https?:\/\/|mailto:|attachment:)/i.test(u) ? u : null;
+}
+
+// Id of an attachment: link, or null.
+export function attachmentId(url) {
+  const m = String(url).match(/^attachment:([\w-]+)$/i);
+  return m ? m[1] : null;
+}
+
+const SPANS = [
+  ["strong", /^\*\*(?=\S)([\s\S]*?\S)\*\*/],
+  ["strong", /^__(?=\S)([\s\S]*?\S)__(?!\w)/],
+  ["del", /^~~(?=\S)([\s\S]*?\S)~~/],
+  ["em", /^\*(?=[^\s*])([\s\S]*?[^\s*])\*/],
+  ["em", /^_(?=\S)([\s\S]*?\S)_(?!\w)/],
+];
+
+// Inline runs: { type: "text" | "code", text } | { type: "strong" | "em" |
+// "del", children } | { type: "link", href, children } | { type: "image", src, alt }.
+export function parseInline(text) {
+  const out = [];
+  let buf = "";
+  const flush = () => { if (buf) { out.push({ type: "text", text: buf }); buf = ""; } };
+  let i = 0;
+  while (i < text.length) {
+    const rest = text.slice(i);
+    const prev = text[i - 1] || " ";
+    let m;
+
+    if (rest[0] === "\\" && /[\\`*_[\]()!~#>+-]/.test(rest[1] || "")) {
+      buf += rest[1];
+      i += 2;
+      continue;
+    }
+    if ((m = rest.match(/^`([^`]+)`/))) {
+      flush();
+      out.push({ type: "code", text: m[1] });
+      i += m[0].length;
+      continue;
+    }
+    if ((m = rest.match(/^!\[([^\]]*)\]\(\s*([^)\s]+)\s*\)/)) && safeUrl(m[2])) {
+      flush();
+      out.push({ type: "image", src: safeUrl(m[2]), alt: m[1] });
+      i += m[0].length;
+      continue;
+    }
+    if ((m = rest.match(/^\[([^\]]+)\]\(\s*([^)\s]+)\s*\)/)) && safeUrl(m[2])) {
+      flush();
+      out.push({ type: "link", href: safeUrl(m[2]), children: parseInline(m[1]) });
+      i += m[0].length;
+      continue;
+    }
+    if (!/\w/.test(prev) && (m = rest.match(/^https?:\/\/[^\s<>]*[^\s<>.,;:!?)\]'"]/))) {
+      flush();
+      out.push({ type: "link", href: m[0], children: [{ type: "text", text: m[0] }] });
+      i += m[0].length;
+      continue;
+    }
+    const span = /[*_~]/.test(rest[0]) && (rest[0] !== "_" || !/\w/.test(prev))
+      && SPANS.map(([type, re]) => [type, rest.match(re)]).find(([, found]) => found);
+    if (span) {
+      flush();
+      out.push({ type: span[0], children: parseInline(span[1][1]) });
+      i += span[1][0].length;
+      continue;
+    }
+    buf += rest[0];
+    i++;
+  }
+  flush();
+  return out;
+}
+
+// Clear every checked task item, e.g. for the next occurrence of a
+// recurring task.
+export function uncheckAll(text) {
+  return String(text || "").replace(/^(\s*(?:[-*+]|\d+[.)])\s+\[)[xX]\]/gm, "$1 ]");
+}
@@ -0,0 +1,160 @@
+// Quick-add parser: turns one line of text into task fields.
+//
+//   Send invoice to ACME tomorrow !urgent #billing
+//   Prep MVD4 notes next fri high
+//   Email may 3 people           (no date: "may 3" sits inside the title)
+//   Email people on may 3        (due May 3)
+//   Fix issue 3/4 in parser      (no date either)
+//
+// Recognized anywhere in the line:
+//   dates     today, tomorrow, fri / friday / on fri, next fri, next week,
+//             next month, in 3 days / 2 weeks / 1 month, 2026-10-20, 10/20,
+//             oct 20, 20 oct (optionally after "due" or "by"; 10/20 and
+//             month names only after "on"/"due"/"by" or at the end of the line)
+//   times     at 14:00, at 3pm, 3:30pm (a time alone means today)
+//   priority  !urgent !high !normal !low
+//   status    @todo @doing @done
+//   tags      #billing
+// Bare priority words (urgent, high, normal, low) count only at the very end,
+// so titles like "High school reunion" stay intact. Whatever is left is the title.
+
+import { PRIORITY_ORDER, normalizeTags } from "./taskModel";
+import { addDays, formatYMD, parseYMD, todayYMD, weekday } from "./dates";
+
+const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+const MONTHS = ["january", "february", "march", "april", "may", "june", "july", "august", "september", "october", "november", "december"];
+// short weekday names that are also ordinary words need "on"/"by"/"due"/"next"
+const AMBIGUOUS_DAYS = ["sat", "sun", "wed"];
+const STATUS_WORDS = { todo: "Todo", doing: "In Progress", progress: "In Progress", inprogress: "In Progress", wip: "In Progress", done: "Done" };
+
+// "fri", "fri.", "friday" -> 5; needs at least three letters
+function nameIndex(word, names) {
+  const w = word.toLowerCase().replace(/\.$/, "");
+  return w.length >= 3 ? names.findIndex((n) => n.startsWith(w)) : -1;
+}
+
+function priorityName(word) {
+  const w = word.toLowerCase();
+  return Object.keys(PRIORITY_ORDER).find((p) => p.toLowerCase() === w);
+}
+
+function addMonths(ymd, n) {
+  const d = parseYMD(ymd);
+  const day = d.getUTCDate();
+  d.setUTCDate(1);
+  d.setUTCMonth(d.getUTCMonth() + n);
+  const last = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 0)).getUTCDate();
+  d.setUTCDate(Math.min(day, last));
+  return formatYMD(d);
+}
+
+// A date without a year means its next occurrence, counting today.
+function dateWithoutYear(month, day, today) {
+  const year = Number(today.slice(0, 4));
+  for (const y of [year, year + 1]) {
+    const d = new Date(Date.UTC(y, month, day));
+    if (d.getUTCMonth() !== month) return null; // e.g. feb 30
+    const ymd = formatYMD(d);
+    if (ymd >= today) return ymd;
+  }
+  return null;
+}
+
+// True when nothing but tags, !priority, @status, a time or a trailing
+// priority word follows words[i - 1].
+function endsLine(words, i) {
+  return words.slice(i).every((word, k, after) => /^[#!@]/.test(word) || parseTime(word)
+    || (word.toLowerCase() === "at" && parseTime(after[k + 1] || ""))
+    || (k === after.length - 1 && priorityName(word)));
+}
+
+// Try to read a date starting at words[i]. Returns { len, due } or null.
+// `led` says the date followed "on", "by" or "due".
+function matchDate(words, i, today, led) {
+  const w = (k) => (words[i + k] || "").toLowerCase();
+  if (w(0) === "today") return { len: 1, due: today };
+  if (["tomorrow", "tmr", "tmrw"].includes(w(0))) return { len: 1, due: addDays(today, 1) };
+  if (w(0) === "next") {
+    const nextMonday = addDays(today, 7 - ((weekday(today) + 6) % 7));
+    if (w(1) === "week") return { len: 2, due: nextMonday };
+    if (w(1) === "month") return { len: 2, due: `${addMonths(today, 1).slice(0, 8)}01` };
+    // "next fri" is the Friday of next week
+    const wd = nameIndex(w(1), WEEKDAYS);
+    if (wd !== -1) return { len: 2, due: addDays(nextMonday, (wd + 6) % 7) };
+  }
+  const wd = nameIndex(w(0), WEEKDAYS);
+  if (wd !== -1 && (led || !AMBIGUOUS_DAYS.includes(w(0)))) return { len: 1, due: addDays(today, (wd - weekday(today) + 7) % 7 || 7) };
+  if (w(0) === "in" && /^\d+$/.test(w(1))) {
+    const n = Number(w(1));
+    if (/^days?$/.test(w(2))) return { len: 3, due: addDays(today, n) };
+    if (/^weeks?$/.test(w(2))) return { len: 3, due: addDays(today, 7 * n) };
+    if (/^months?$/.test(w(2))) return { len: 3, due: addMonths(today, n) };
+  }
+  // a day that doesn't exist (2026-02-30) rolls over, so check the round trip
+  if (/^\d{4}-\d{2}-\d{2}$/.test(w(0)) && !isNaN(parseYMD(w(0))) && formatYMD(parseYMD(w(0))) === w(0)) return { len: 1, due: w(0) };
+  // "may 3" or "3/4" inside a sentence is usually not a date
+  const inContext = (len) => led || endsLine(words, i + len);
+  const slash = w(0).match(/^(\d{1,2})\/(\d{1,2})(?:\/(\d{4}))?$/);
+  if (slash && inContext(1)) {
+    const [, m, d, y] = slash.map(Number);
+    const full = y && new Date(Date.UTC(y, m - 1, d));
+    const due = y ? (full.getUTCMonth() === m - 1 ? formatYMD(full) : null) : dateWithoutYear(m - 1, d, today);
+    if (due) return { len: 1, due };
+  }
+  const dayNum = (s) => (/^\d{1,2}(st|nd|rd|th)?$/.test(s) ? parseInt(s, 10) : null);
+  const m0 = nameIndex(w(0), MONTHS);
+  if (inContext(2) && m0 !== -1 && dayNum(w(1))) {
+    const due = dateWithoutYear(m0, dayNum(w(1)), today);
+    if (due) return { len: 2, due };
+  }
+  const m1 = nameIndex(w(1), MONTHS);
+  if (inContext(2) && dayNum(w(0)) && m1 !== -1) {
+    const due = dateWithoutYear(m1, dayNum(w(0)), today);
+    if (due) return { len: 2, due };
+  }
+  return null;
+}
+
+// "14:00", "3pm", "3:30pm" -> "HH:MM"
+function parseTime(word) {
+  const m = word.toLowerCase().match(/^(\d{1,2})(?::(\d{2}))?(am|pm)?$/);
+  if (!m || (!m[2] && !m[3])) return null;
+  let h = Number(m[1]);
+  const min = Number(m[2] || 0);
+  if (m[3]) {
+    if (h < 1 || h > 12) return null;
+    h = (h % 12) + (m[3] === "pm" ? 12 : 0);
+  }
+  if (h > 23 || min > 59) return null;
+  return `${String(h).padStart(2, "0")}:${String(min).padStart(2, "0")}`;
+}
+
+// Returns { title, due?, dueTime?, priority?, status?, tags }.
+export function parseQuickAdd(text, today = todayYMD()) {
+  const words = text.trim().split(/\s+/).filter(Boolean);
+  const out = { title: "", tags: [] };
+  const rest = [];
+  for (let i = 0; i < words.length; i++) {
+    const word = words[i];
+    const lower = word.toLowerCase();
+    if (/^#[^#\s]+$/.test(word)) { out.tags.push(word.slice(1)); continue; }
+    if (word.startsWith("!") && priorityName(word.slice(1))) { out.priority = priorityName(word.slice(1)); continue; }
+    if (word.startsWith("@") && STATUS_WORDS[lower.slice(1)]) { out.status = STATUS_WORDS[lower.slice(1)]; continue; }
+
+    // "due"/"by"/"on" belong to a date that follows them
+    const lead = ["due", "by", "on"].includes(lower) && !out.due ? 1 : 0;
+    const date = !out.due && matchDate(words, i + lead, today, lead === 1);
+    if (date) { out.due = date.due; i += lead + date.len - 1; continue; }
+
+    const time = !out.dueTime && (lower === "at" ? parseTime(words[i + 1] || "") : parseTime(word));
+    if (time) { out.dueTime = time; if (lower === "at") i++; continue; }
+
+    rest.push(word);
+  }
+  // trailing bare priority word
+  if (!out.priority && rest.length > 1 && priorityName(rest[rest.length - 1])) out.priority = priorityName(rest.pop());
+  if (out.dueTime && !out.due) out.due = today;
+  out.title = rest.join(" ");
+  out.tags = normalizeTags(out.tags);
+  return out;
+}
@@ -0,0 +1,178 @@
+// Search box query language.
+//
+//   word "exact phrase"      title, notes or checklist items contain it
+//   -word  -"phrase"         ...and must not contain it
+//   priority:High            also >= <= > < for ranges; priority:!Low negates
+//   status:Done              status:!Done, status:"In Progress" (or in-progress)
+//   due:<7d  due:>=2026-10-01  due:today  due:overdue  due:none
+//   created:<7d              created within the last 7 days (age, not a date)
+//   tag:work                 task has the tag
+//   is:open is:done is:recurring is:overdue is:blocked
+//
+// Any clause can be negated with a leading "-". Values are case-insensitive.
+// Invalid tokens are reported in `errors` and otherwise ignored.
+
+import { PRIORITY_ORDER, STATUS_ORDER } from "./taskModel";
+import { addDays, todayYMD } from "./dates";
+import { isBlocked, taskIndex } from "./dependencies";
+
+const FIELDS = ["priority", "status", "due", "created", "tag", "is"];
+const IS_VALUES = ["open", "done", "recurring", "overdue", "blocked"];
+const OP_RE = /^(>=|<=|!=|>|<|=|!)?(.*)$/;
+
+// Split on whitespace, keeping quoted runs together (quotes may follow "key:" or "-").
+function tokenize(text) {
+  const tokens = [];
+  const re = /(-?)(?:([a-z]+):)?([!<>=]*)(?:"([^"]*)"?|(\S*))/gi;
+  let m;
+  while ((m = re.exec(text))) {
+    if (m[0] === "") { re.lastIndex++; continue; }
+    const [raw, neg, key, op, quoted, bare] = m;
+    tokens.push({ raw, negate: neg === "-", key: key?.toLowerCase(), value: op + (quoted ?? bare ?? ""), quoted: quoted !== undefined });
+  }
+  return tokens;
+}
+
+function matchName(value, names) {
+  const norm = (s) => s.toLowerCase().replace(/[-_\s]+/g, " ");
+  return names.find((n) => norm(n) === norm(value));
+}
+
+// A date value: YYYY-MM-DD, today/tomorrow/yesterday, or N d/w from today.
+// For `created`, N d/w means N days/weeks ago.
+function parseDateValue(value, field) {
+  const v = value.toLowerCase();
+  const today = todayYMD();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(v)) return v;
+  if (v === "today") return today;
+  if (v === "tomorrow") return addDays(today, 1);
+  if (v === "yesterday") return addDays(today, -1);
+  const rel = v.match(/^(\d+)([dw])$/);
+  if (rel) {
+    const days = Number(rel[1]) * (rel[2] === "w" ? 7 : 1);
+    return addDays(today, field === "created" ? -days : days);
+  }
+  return null;
+}
+
+function compare(a, op, b) {
+  if (op === ">") return a > b;
+  if (op === "<") return a < b;
+  if (op === ">=") return a >= b;
+  if (op === "<=") return a <= b;
+  return a === b;
+}
+
+// "created:<7d" reads as "less than 7 days old", i.e. a date *after* 7 days ago.
+const FLIP = { "<": ">", ">": "<", "<=": ">=", ">=": "<=" };
+
+function parseToken(tok) {
+  if (!tok.key || !FIELDS.includes(tok.key)) {
+    if (tok.key) {
+      // "foo:bar" with an unknown key is most likely a typo; quote it to search for it
+      return { error: `Unknown filter "${tok.key}:" (use ${FIELDS.join(", ")})` };
+    }
+    if (!tok.value) return null;
+    return { clause: { field: "text", value: tok.value.toLowerCase(), negate: tok.negate } };
+  }
+
+  const [, rawOp = "=", rest] = tok.value.match(OP_RE);
+  let op = rawOp;
+  let negate = tok.negate;
+  if (op === "!" || op === "!=") { op = "="; negate = !negate; }
+  const value = rest.trim();
+  if (!value) return { error: `"${tok.raw}" needs a value` };
+
+  switch (tok.key) {
+    case "priority": {
+      const p = matchName(value, Object.keys(PRIORITY_ORDER));
+      if (!p) return { error: `Unknown priority "${value}"` };
+      return { clause: { field: "priority", op, value: p, negate } };
+    }
+    case "status": {
+      const s = matchName(value, Object.keys(STATUS_ORDER));
+      if (!s) return { error: `Unknown status "${value}"` };
+      if (op !== "=") return { error: `status only supports = and !` };
+      return { clause: { field: "status", op, value: s, negate } };
+    }
+    case "due":
+    case "created": {
+      const v = value.toLowerCase();
+      if (tok.key === "due" && (v === "none" || v === "overdue")) {
+        return { clause: { field: "due", op: v, value: v, negate } };
+      }
+      const date = parseDateValue(value, tok.key);
+      if (!date) return { error: `Can't read date "${value}" (try 2026-10-20, today, 7d, 2w)` };
+      const relative = /^\d+[dw]$/.test(v);
+      return { clause: { field: tok.key, op: tok.key === "created" && relative ? FLIP[op] || op : op, value: date, negate } };
+    }
+    case "tag":
+      return { clause: { field: "tag", op: "=", value: value.toLowerCase(), negate } };
+    case "is": {
+      if (!IS_VALUES.includes(value.toLowerCase())) return { error: `Unknown "is:${value}" (use ${IS_VALUES.join(", ")})` };
+      return { clause: { field: "is", op: "=", value: value.toLowerCase(), negate } };
+    }
+    default:
+      return null;
+  }
+}
+
+// Returns { clauses, errors: [{ token, message }] }.
+export function parseQuery(text) {
+  const clauses = [];
+  const errors = [];
+  tokenize(text || "").forEach((tok) => {
+    const res = parseToken(tok);
+    if (!res) return;
+    if (res.error) errors.push({ token: tok.raw, message: res.error });
+    else clauses.push(res.clause);
+  });
+  return { clauses, errors };
+}
+
+function haystack(t) {
+  return [t.title, t.notes || "", ...(t.subtasks || []).map((s) => s.title)].join(" ").toLowerCase();
+}
+
+function testClause(c, t, today, byId) {
+  switch (c.field) {
+    case "text": return haystack(t).includes(c.value);
+    case "priority": return compare(PRIORITY_ORDER[t.priority], c.op, PRIORITY_ORDER[c.value]);
+    case "status": return t.status === c.value;
+    case "due":
+      if (c.op === "none") return !t.due;
+      if (c.op === "overdue") return Boolean(t.due) && t.due < today && t.status !== "Done";
+      return Boolean(t.due) && compare(t.due, c.op, c.value);
+    case "created": return compare(String(t.createdAt).slice(0, 10), c.op, c.value);
+    case "tag": return (t.tags || []).some((tag) => tag.toLowerCase() === c.value);
+    case "project": return c.value === "none" ? !t.project : t.project === c.value;
+    case "is":
+      if (c.value === "open") return t.status !== "Done";
+      if (c.value === "done") return t.status === "Done";
+      if (c.value === "recurring") return Boolean(t.recurrence);
+      if (c.value === "blocked") return isBlocked(t, byId);
+      return Boolean(t.due) && t.due < today && t.status !== "Done";
+    default: return true;
+  }
+}
+
+// All clauses must hold (negated ones must not). `tasks` is the whole list,
+// for is:blocked to look up blockers in.
+export function toPredicate(clauses, tasks = []) {
+  const today = todayYMD();
+  const byId = taskIndex(tasks);
+  return (t) => clauses.every((c) => testClause(c, t, today, byId) !== c.negate);
+}
+
+// Clauses for a whole view: the query text plus the filter dropdowns.
+// projectFilter is a project id or "none" (there's no query syntax for it);
+// blockedFilter is "blocked" or "unblocked".
+export function viewClauses({ q, priorityFilter, statusFilter, tagFilter, projectFilter, blockedFilter }) {
+  const clauses = [...parseQuery(q).clauses];
+  if (priorityFilter && priorityFilter !== "All") clauses.push({ field: "priority", op: "=", value: priorityFilter, negate: false });
+  if (statusFilter && statusFilter !== "All") clauses.push({ field: "status", op: "=", value: statusFilter, negate: false });
+  if (tagFilter && tagFilter !== "All") clauses.push({ field: "tag", op: "=", value: tagFilter.toLowerCase(), negate: false });
+  if (projectFilter && projectFilter !== "All") clauses.push({ field: "project", op: "=", value: projectFilter, negate: false });
+  if (blockedFilter && blockedFilter !== "All") clauses.push({ field: "is", op: "=", value: "blocked", negate: blockedFilter === "unblocked" });
+  return clauses;
+}
@@ -0,0 +1,78 @@
+// Recurrence rules for repeating tasks.
+//
+// rule: { freq, interval, weekdays?, monthDay? }
+//   freq "daily"   — every `interval` days after the due date
+//   freq "weekly"  — on `weekdays` (0 = Sun) every `interval` weeks
+//   freq "monthly" — on `monthDay` every `interval` months (clamped to month end)
+//   freq "after"   — `interval` days after the task was completed
+// Dates are "YYYY-MM-DD" strings handled in UTC so time zones can't shift them.
+
+import { parseYMD as parse, formatYMD as fmt, addDays, todayYMD } from "./dates";
+
+export const FREQS = ["daily", "weekly", "monthly", "after"];
+export const WEEKDAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const RRULE_DAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+// Sunday-based week number since the epoch (1970-01-01 was a Thursday).
+function weekIndex(ymd) {
+  return Math.floor((parse(ymd).getTime() / 86400000 + 4) / 7);
+}
+
+function addMonths(ymd, n, day) {
+  const d = parse(ymd);
+  const first = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + n, 1));
+  const last = new Date(Date.UTC(first.getUTCFullYear(), first.getUTCMonth() + 1, 0)).getUTCDate();
+  first.setUTCDate(Math.min(day, last));
+  return fmt(first);
+}
+
+function step(rule, from) {
+  const n = rule.interval;
+  if (rule.freq === "daily") return addDays(from, n);
+  if (rule.freq === "monthly") return addMonths(from, n, rule.monthDay || parse(from).getUTCDate());
+  // weekly: next matching weekday in a week that is a multiple of `interval` from the start
+  const days = rule.weekdays?.length ? rule.weekdays : [parse(from).getUTCDay()];
+  const anchor = weekIndex(from);
+  let d = addDays(from, 1);
+  while (!(days.includes(parse(d).getUTCDay()) && (weekIndex(d) - anchor) % n === 0)) d = addDays(d, 1);
+  return d;
+}
+
+// Next due date after completing an occurrence. Scheduled rules step from the
+// previous due date and skip any dates already in the past, so finishing
+// late doesn't queue up stale occurrences.
+export function nextDue(rule, due, completedOn = todayYMD()) {
+  if (rule.freq === "after") return addDays(completedOn, rule.interval);
+  let d = step(rule, due || completedOn);
+  while (d <= completedOn) d = step(rule, d);
+  return d;
+}
+
+export function normalizeRecurrence(r) {
+  if (!r || !FREQS.includes(r.freq)) return null;
+  const interval = Math.max(1, Math.min(365, parseInt(r.interval, 10) || 1));
+  const out = { freq: r.freq, interval };
+  if (r.freq === "weekly" && Array.isArray(r.weekdays)) {
+    out.weekdays = [...new Set(r.weekdays.map(Number).filter((d) => d >= 0 && d <= 6))].sort();
+  }
+  if (r.freq === "monthly" && r.monthDay) out.monthDay = Math.max(1, Math.min(31, parseInt(r.monthDay, 10) || 1));
+  return out;
+}
+
+export function describeRule(rule) {
+  const every = (unit) => (rule.interval === 1 ? `every ${unit}` : `every ${rule.interval} ${unit}s`);
+  if (rule.freq === "daily") return `Repeats ${every("day")}`;
+  if (rule.freq === "after") return `Repeats ${rule.interval === 1 ? "1 day" : `${rule.interval} days`} after completion`;
+  if (rule.freq === "monthly") return `Repeats ${every("month")}${rule.monthDay ? ` on day ${rule.monthDay}` : ""}`;
+  const days = rule.weekdays?.length ? ` on ${rule.weekdays.map((d) => WEEKDAY_NAMES[d]).join(", ")}` : "";
+  return `Repeats ${every("week")}${days}`;
+}
+
+// iCalendar RRULE for scheduled rules; "after" rules have no calendar equivalent.
+export function toRRule(rule) {
+  if (rule.freq === "after") return null;
+  const parts = [`FREQ=${rule.freq.toUpperCase()}`, `INTERVAL=${rule.interval}`];
+  if (rule.freq === "weekly" && rule.weekdays?.length) parts.push(`BYDAY=${rule.weekdays.map((d) => RRULE_DAYS[d]).join(",")}`);
+  if (rule.freq === "monthly" && rule.monthDay) parts.push(`BYMONTHDAY=${rule.monthDay}`);
+  return parts.join(";");
+}
@@ -0,0 +1,142 @@
+// Due times, reminders, snoozing and the overdue inbox.
+//
+// A task may have a dueTime ("HH:MM", local time) next to its date. Date-only
+// tasks are anchored at DEFAULT_DUE_TIME for reminders and count as overdue
+// once their day has passed. Reminders are stored per task as
+//   { kind: "before", minutes }          N minutes before the due moment
+//   { kind: "at", time, daysBefore }     a clock time, N days before the due date
+// Snoozing sets snoozedUntil (ISO); the task then leaves the inbox and
+// reminds once more when the snooze ends.
+
+import { addDays, todayYMD } from "./dates";
+
+export const DEFAULT_DUE_TIME = "09:00";
+const MISSED_WINDOW_MS = 24 * 3600000; // reminders missed while closed still fire if this recent
+export const UPCOMING_DAYS = 7;
+
+export const REMINDER_PRESETS = [
+  { kind: "before", minutes: 0 },
+  { kind: "before", minutes: 15 },
+  { kind: "before", minutes: 60 },
+  { kind: "before", minutes: 1440 },
+  { kind: "at", time: "09:00", daysBefore: 0 },
+  { kind: "at", time: "09:00", daysBefore: 1 },
+];
+
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+export function normalizeDueTime(v) {
+  return typeof v === "string" && TIME_RE.test(v) ? v : undefined;
+}
+
+export function normalizeReminders(list) {
+  if (!Array.isArray(list)) return [];
+  const out = [];
+  list.forEach((r) => {
+    let clean = null;
+    if (r?.kind === "before" && Number(r.minutes) >= 0) clean = { kind: "before", minutes: Math.round(Number(r.minutes)) };
+    if (r?.kind === "at" && TIME_RE.test(r.time)) clean = { kind: "at", time: r.time, daysBefore: Math.max(0, Math.round(Number(r.daysBefore) || 0)) };
+    if (clean && !out.some((x) => sameReminder(x, clean))) out.push(clean);
+  });
+  return out;
+}
+
+export function sameReminder(a, b) {
+  return a.kind === b.kind && a.minutes === b.minutes && a.time === b.time && a.daysBefore === b.daysBefore;
+}
+
+export function describeReminder(r) {
+  if (r.kind === "at") {
+    const day = r.daysBefore === 0 ? "on the due day" : r.daysBefore === 1 ? "the day before" : `${r.daysBefore} days before`;
+    return `At ${r.time} ${day}`;
+  }
+  if (r.minutes === 0) return "At due time";
+  if (r.minutes % 1440 === 0) return `${r.minutes / 1440} day${r.minutes === 1440 ? "" : "s"} before`;
+  if (r.minutes % 60 === 0) return `${r.minutes / 60} hour${r.minutes === 60 ? "" : "s"} before`;
+  return `${r.minutes} minutes before`;
+}
+
+function localDate(ymd, time) {
+  return new Date(`${ymd}T${time}:00`);
+}
+
+// The moment a task is due, in local time, or null without a due date.
+export function dueAt(t) {
+  return t.due ? localDate(t.due, t.dueTime || DEFAULT_DUE_TIME) : null;
+}
+
+export function formatDue(t) {
+  return t.dueTime ? `${t.due} ${t.dueTime}` : t.due;
+}
+
+// Every moment this task should remind, as { key, at, label }. The key
+// changes when the due date or reminder does, so edited reminders fire again.
+export function reminderTimes(t) {
+  if (t.status === "Done" || !t.due) return [];
+  const due = dueAt(t);
+  const out = (t.reminders || []).map((r) => {
+    const at = r.kind === "at" ? localDate(addDays(t.due, -r.daysBefore), r.time) : new Date(due.getTime() - r.minutes * 60000);
+    return { key: `${t.id}|${at.toISOString()}`, at, label: describeReminder(r) };
+  });
+  if (t.snoozedUntil) {
+    const at = new Date(t.snoozedUntil);
+    out.push({ key: `${t.id}|snooze|${at.toISOString()}`, at, label: "Snoozed reminder" });
+  }
+  return out;
+}
+
+// Reminders that are due now and haven't fired yet ({ task, key, label }).
+// While a task is snoozed only the snooze reminder counts.
+export function pendingReminders(tasks, fired, now = Date.now()) {
+  const out = [];
+  tasks.forEach((t) => {
+    const snoozed = t.snoozedUntil && new Date(t.snoozedUntil).getTime() > now;
+    reminderTimes(t).forEach((r) => {
+      const at = r.at.getTime();
+      if (fired[r.key] || at > now || at < now - MISSED_WINDOW_MS) return;
+      if (snoozed && !r.key.includes("|snooze|")) return;
+      out.push({ task: t, key: r.key, label: r.label });
+    });
+  });
+  return out;
+}
+
+// Drop fired keys older than the missed window; they can never fire again.
+export function pruneFired(fired, now = Date.now()) {
+  return Object.fromEntries(Object.entries(fired).filter(([, at]) => at > now - 2 * MISSED_WINDOW_MS));
+}
+
+export function isSnoozed(t, now = Date.now()) {
+  return Boolean(t.snoozedUntil) && new Date(t.snoozedUntil).getTime() > now;
+}
+
+// Inbox sections for open, un-snoozed tasks: { overdue, today, upcoming },
+// each sorted by due moment.
+export function inboxGroups(tasks, now = Date.now()) {
+  const today = todayYMD();
+  const horizon = addDays(today, UPCOMING_DAYS);
+  const groups = { overdue: [], today: [], upcoming: [] };
+  tasks
+    .filter((t) => t.due && t.status !== "Done" && !isSnoozed(t, now))
+    .sort((a, b) => dueAt(a) - dueAt(b))
+    .forEach((t) => {
+      if (t.due < today || (t.due === today && t.dueTime && dueAt(t).getTime() < now)) groups.overdue.push(t);
+      else if (t.due === today) groups.today.push(t);
+      else if (t.due <= horizon) groups.upcoming.push(t);
+    });
+  return groups;
+}
+
+export const SNOOZE_OPTIONS = [
+  { id: "1h", label: "1 hour" },
+  { id: "3h", label: "3 hours" },
+  { id: "tomorrow", label: "Tomorrow 9:00" },
+  { id: "week", label: "Next week" },
+];
+
+export function snoozeUntil(option, now = Date.now()) {
+  if (option === "1h") return new Date(now + 3600000).toISOString();
+  if (option === "3h") return new Date(now + 3 * 3600000).toISOString();
+  const days = option === "week" ? 7 : 1;
+  return localDate(addDays(todayYMD(), days), DEFAULT_DUE_TIME).toISOString();
+}
@@ -0,0 +1,77 @@
+// Computed priority score and Eisenhower quadrants.
+//
+// The score (0-100) blends four signals:
+//   importance — the priority label
+//   urgency    — how close (or how far past) the due date is
+//   age        — how long the task has been open since createdAt
+//   quick win  — small effort estimates float up; unknown effort is neutral
+
+import { PRIORITY_ORDER } from "./taskModel";
+import { addDays, parseYMD, todayYMD } from "./dates";
+
+const WEIGHTS = { importance: 0.45, urgency: 0.35, age: 0.1, quickWin: 0.1 };
+const URGENCY_HORIZON_DAYS = 14; // due further out than this adds no urgency
+const AGE_CAP_DAYS = 30;
+const QUICK_WIN_HOURS = 8;       // estimates at or above this get no bonus
+
+// Tasks due within this many days (or overdue) count as urgent in the matrix.
+export const URGENT_DAYS = 2;
+
+function daysUntil(due, today) {
+  return Math.round((parseYMD(due) - parseYMD(today)) / 86400000);
+}
+
+function clamp(n, lo, hi) {
+  return Math.min(hi, Math.max(lo, n));
+}
+
+// Returns { score, parts } where parts holds each signal in 0..1.
+export function scoreTask(t, today = todayYMD()) {
+  if (t.status === "Done") return { score: 0, parts: null };
+  const importance = (PRIORITY_ORDER[t.priority] ?? 1) / 3;
+  let urgency = 0;
+  if (t.due) {
+    // 0 at the horizon, 1 on the due date, 1.5 a full horizon overdue; scaled to 0..1
+    const left = daysUntil(t.due, today);
+    urgency = clamp(1 - left / URGENCY_HORIZON_DAYS, 0, 1.5) / 1.5;
+  }
+  const ageDays = (Date.now() - new Date(t.createdAt).getTime()) / 86400000;
+  const age = clamp(ageDays / AGE_CAP_DAYS, 0, 1);
+  const quickWin = t.estimate ? clamp(1 - t.estimate / QUICK_WIN_HOURS, 0, 1) : 0.5;
+  const parts = { importance, urgency, age, quickWin };
+  const score = Math.round(100 * Object.entries(WEIGHTS).reduce((sum, [k, w]) => sum + w * parts[k], 0));
+  return { score, parts };
+}
+
+export function isImportant(t) {
+  return PRIORITY_ORDER[t.priority] >= PRIORITY_ORDER.High;
+}
+
+export function isUrgent(t, today = todayYMD()) {
+  return Boolean(t.due) && daysUntil(t.due, today) <= URGENT_DAYS;
+}
+
+// Quadrant ids: "do" (urgent+important), "schedule" (important),
+// "delegate" (urgent), "eliminate" (neither).
+export function quadrantOf(t, today = todayYMD()) {
+  const imp = isImportant(t);
+  const urg = isUrgent(t, today);
+  if (imp && urg) return "do";
+  if (imp) return "schedule";
+  if (urg) return "delegate";
+  return "eliminate";
+}
+
+// Field changes that move a task into `quadrant`, touching only what has to
+// change: importance via the priority label, urgency via the due date.
+export function patchForQuadrant(t, quadrant, today = todayYMD()) {
+  const wantImportant = quadrant === "do" || quadrant === "schedule";
+  const wantUrgent = quadrant === "do" || quadrant === "delegate";
+  const patch = {};
+  if (wantImportant && !isImportant(t)) patch.priority = "High";
+  if (!wantImportant && isImportant(t)) patch.priority = "Normal";
+  if (wantUrgent && !isUrgent(t, today)) patch.due = today;
+  // push out past the urgent window, a week from today
+  if (!wantUrgent && isUrgent(t, today)) patch.due = addDays(today, 7);
+  return patch;
+}
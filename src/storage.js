@@ -0,0 +1,221 @@
+// Versioned task storage.
+//
+// Tasks are persisted as an envelope: { version, savedAt, tasks }.
+// Older payloads (including the original bare array, treated as version 1)
+// are upgraded step by step through MIGRATIONS on load. Anything that can't
+// be read is moved to a quarantine key instead of being overwritten.
+
+export const STORAGE_KEY = "task_prioritizer_v1";
+export const QUARANTINE_KEY = "task_prioritizer_quarantine_v1";
+
+export const SCHEMA_VERSION = 11;
+
+// MIGRATIONS[n] takes a version-n envelope and returns a version n+1 envelope.
+// Append new steps here whenever the task shape changes; never edit old ones.
+const MIGRATIONS = {
+  // v2: envelope around the array, basic field cleanup
+  1: (env) => ({
+    ...env,
+    version: 2,
+    tasks: env.tasks
+      .filter((t) => t && t.id)
+      .map((t) => ({
+        ...t,
+        id: String(t.id),
+        title: t.title ? String(t.title) : "Untitled",
+        notes: t.notes ? String(t.notes) : "",
+        createdAt: t.createdAt || t.updatedAt || new Date().toISOString(),
+        updatedAt: t.updatedAt || t.createdAt || new Date().toISOString(),
+      })),
+  }),
+  // v3: checklist items under a task
+  2: (env) => ({
+    ...env,
+    version: 3,
+    tasks: env.tasks.map((t) => ({ subtasks: [], autoStatus: false, ...t })),
+  }),
+  // v4: recurrence rules
+  3: (env) => ({
+    ...env,
+    version: 4,
+    tasks: env.tasks.map((t) => ({ recurrence: null, ...t })),
+  }),
+  // v5: manual board order, seeded from the stored (newest first) order
+  4: (env) => ({
+    ...env,
+    version: 5,
+    tasks: env.tasks.map((t, i) => ({ order: i, ...t })),
+  }),
+  // v6: activity log, starting from the known creation time
+  5: (env) => ({
+    ...env,
+    version: 6,
+    tasks: env.tasks.map((t) => ({ activity: [{ at: t.createdAt, field: "created" }], ...t })),
+  }),
+  // v7: tags (projects are optional and start out unset)
+  6: (env) => ({
+    ...env,
+    version: 7,
+    tasks: env.tasks.map((t) => ({ tags: [], ...t })),
+  }),
+  // v8: reminders (due times and snoozes are optional)
+  7: (env) => ({
+    ...env,
+    version: 8,
+    tasks: env.tasks.map((t) => ({ reminders: [], ...t })),
+  }),
+  // v9: time tracking entries
+  8: (env) => ({
+    ...env,
+    version: 9,
+    tasks: env.tasks.map((t) => ({ timeEntries: [], ...t })),
+  }),
+  // v10: "blocked by" links
+  9: (env) => ({
+    ...env,
+    version: 10,
+    tasks: env.tasks.map((t) => ({ blockedBy: [], ...t })),
+  }),
+  // v11: attachments
+  10: (env) => ({
+    ...env,
+    version: 11,
+    tasks: env.tasks.map((t) => ({ attachments: [], ...t })),
+  }),
+};
+
+function toEnvelope(data) {
+  // v1 stored the tasks array directly
+  if (Array.isArray(data)) return { version: 1, savedAt: null, tasks: data };
+  if (data && typeof data === "object" && Number.isInteger(data.version) && Array.isArray(data.tasks)) {
+    return data;
+  }
+  throw new Error("Unrecognized storage format");
+}
+
+// Upgrade an envelope to SCHEMA_VERSION. Throws if it comes from a newer app.
+export function migrate(env) {
+  if (env.version > SCHEMA_VERSION) {
+    throw new Error(`Saved data is version ${env.version}, this app only understands up to ${SCHEMA_VERSION}`);
+  }
+  let cur = env;
+  while (cur.version < SCHEMA_VERSION) {
+    const step = MIGRATIONS[cur.version];
+    if (!step) throw new Error(`No migration from version ${cur.version}`);
+    cur = step(cur);
+  }
+  return cur;
+}
+
+// Parse a raw stored string (or already-parsed value) into a current-version
+// envelope. Keys besides tasks (e.g. saved views in a backup) pass through.
+export function parseBackup(raw) {
+  const data = typeof raw === "string" ? JSON.parse(raw) : raw;
+  return migrate(toEnvelope(data));
+}
+
+export function parsePayload(raw) {
+  return parseBackup(raw).tasks;
+}
+
+// Envelope for storage and JSON backups; `extra` adds sibling keys like views.
+export function makeEnvelope(tasks, extra = {}) {
+  return { version: SCHEMA_VERSION, savedAt: new Date().toISOString(), tasks, ...extra };
+}
+
+export function serialize(tasks) {
+  return JSON.stringify(makeEnvelope(tasks));
+}
+
+export function quarantine(raw, reason) {
+  try {
+    localStorage.setItem(
+      QUARANTINE_KEY,
+      JSON.stringify({ quarantinedAt: new Date().toISOString(), reason, raw })
+    );
+  } catch (e) {
+    console.error("Failed to quarantine unreadable tasks", e);
+  }
+}
+
+// Returns { tasks, error }. On failure the raw payload is copied to the
+// quarantine key first, so the next save can't destroy it.
+export function loadTasks() {
+  let raw = null;
+  try {
+    raw = localStorage.getItem(STORAGE_KEY);
+    if (!raw) return { tasks: [], error: null };
+    return { tasks: parsePayload(raw), error: null };
+  } catch (e) {
+    console.error("Failed to load tasks", e);
+    if (raw) quarantine(raw, e.message);
+    return { tasks: [], error: e.message };
+  }
+}
+
+export function saveTasks(tasks) {
+  try {
+    localStorage.setItem(STORAGE_KEY, serialize(tasks));
+  } catch (e) {
+    console.error("Failed to save tasks", e);
+  }
+}
+
+// True when task a is at least as new as task b.
+export function isNewer(a, b) {
+  return new Date(a.updatedAt).getTime() >= new Date(b.updatedAt).getTime();
+}
+
+// Merge changed tasks into what is stored instead of overwriting it, so
+// another tab's newer edits survive. Same result shape as
+// taskDb.writeChanges: { written, rejected }, where rejected holds the
+// stored records that were newer than the puts.
+export function saveChanges(puts, deletes) {
+  const byId = new Map(loadTasks().tasks.map((t) => [t.id, t]));
+  const written = [];
+  const rejected = [];
+  puts.forEach((t) => {
+    const stored = byId.get(t.id);
+    if (!stored || isNewer(t, stored)) {
+      byId.set(t.id, t);
+      written.push(t);
+    } else {
+      rejected.push(stored);
+    }
+  });
+  deletes.forEach((id) => byId.delete(id));
+  saveTasks([...byId.values()]);
+  return { written, rejected };
+}
+
+export function getQuarantine() {
+  try {
+    const raw = localStorage.getItem(QUARANTINE_KEY);
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+}
+
+export function clearQuarantine() {
+  localStorage.removeItem(QUARANTINE_KEY);
+}
+
+// Small settings (saved views etc.) for when IndexedDB is unavailable.
+export function loadSetting(key) {
+  try {
+    const raw = localStorage.getItem(`task_prioritizer_${key}_v1`);
+    return raw ? JSON.parse(raw) : undefined;
+  } catch (e) {
+    console.error(`Failed to load ${key}`, e);
+    return undefined;
+  }
+}
+
+export function saveSetting(key, value) {
+  try {
+    localStorage.setItem(`task_prioritizer_${key}_v1`, JSON.stringify(value));
+  } catch (e) {
+    console.error(`Failed to save ${key}`, e);
+  }
+}
@@ -0,0 +1,55 @@
+// Service worker template. The build (see vite.config.js) fills in
+// __PRECACHE__ with every emitted file and __VERSION__ with a hash of them,
+// then writes the result to dist/sw.js.
+//
+// Precached files are served cache-first, and navigations get the cached
+// app shell, so the app loads offline. A new deploy installs a new worker
+// that waits until the page asks it to take over (the update prompt).
+
+const VERSION = __VERSION__;
+const PRECACHE = __PRECACHE__;
+const CACHE = `task-prioritizer-${VERSION}`;
+const SHELL = new URL("index.html", self.registration.scope).href;
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(CACHE).then((cache) => cache.addAll(PRECACHE.map((f) => new URL(f, self.registration.scope).href)))
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys.filter((k) => k.startsWith("task-prioritizer-") && k !== CACHE).map((k) => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "SKIP_WAITING") self.skipWaiting();
+});
+
+// Reminders are shown through the worker (see useReminders.js); a click
+// brings the app forward and asks it to open the task.
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  const taskId = event.notification.data?.taskId;
+  event.waitUntil(
+    self.clients.matchAll({ type: "window", includeUncontrolled: true }).then((clients) => {
+      const client = clients[0];
+      if (!client) return self.clients.openWindow(self.registration.scope);
+      if (taskId) client.postMessage({ type: "OPEN_TASK", taskId });
+      return client.focus();
+    })
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET" || new URL(request.url).origin !== self.location.origin) return;
+  if (request.mode === "navigate") {
+    event.respondWith(caches.match(SHELL).then((cached) => cached || fetch(request)));
+    return;
+  }
+  event.respondWith(caches.match(request, { ignoreSearch: true }).then((cached) => cached || fetch(request)));
+});
@@ -0,0 +1,93 @@
+// Tags and projects. Tasks carry tag names in `tags` (so the search box can
+// match them) and a project id in `project`. The registries kept in settings
+// hold the display side: tag colors, project names and colors.
+
+import { normalizeTagName, normalizeTags, uid } from "./taskModel";
+
+export const TAG_COLORS = ["#64748b", "#ef4444", "#f97316", "#eab308", "#22c55e", "#14b8a6", "#3b82f6", "#8b5cf6", "#ec4899"];
+
+// Tags without a registry entry get a stable color from their name.
+function fallbackColor(name) {
+  let h = 0;
+  for (const c of name.toLowerCase()) h = (h * 31 + c.charCodeAt(0)) >>> 0;
+  return TAG_COLORS[h % TAG_COLORS.length];
+}
+
+function validColor(c) {
+  return typeof c === "string" && /^#[0-9a-f]{6}$/i.test(c) ? c : null;
+}
+
+export function tagColor(defs, name) {
+  const def = defs.find((d) => d.name.toLowerCase() === name.toLowerCase());
+  return def?.color || fallbackColor(name);
+}
+
+// Coerce imported registry entries, or null if unusable.
+export function normalizeTagDef(d) {
+  const name = normalizeTagName(d?.name);
+  if (!name) return null;
+  return { name, color: validColor(d.color) || fallbackColor(name) };
+}
+
+export function normalizeProject(p) {
+  if (!p || !p.id || !String(p.name ?? "").trim()) return null;
+  return { id: String(p.id), name: String(p.name).trim(), color: validColor(p.color) || TAG_COLORS[0] };
+}
+
+export function newProject(name) {
+  return { id: uid(), name: name.trim(), color: TAG_COLORS[Math.floor(Math.random() * TAG_COLORS.length)] };
+}
+
+// Every known tag with its color and how many tasks use it: the registry plus
+// any names that only appear on tasks (e.g. from an import).
+export function tagUsage(tasks, defs) {
+  const byKey = new Map(defs.map((d) => [d.name.toLowerCase(), { ...d, count: 0 }]));
+  tasks.forEach((t) => (t.tags || []).forEach((name) => {
+    const key = name.toLowerCase();
+    if (!byKey.has(key)) byKey.set(key, { name, color: fallbackColor(name), count: 0 });
+    byKey.get(key).count += 1;
+  }));
+  return [...byKey.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Rename `from` to `to` on every task. If a task already has `to`, the two
+// collapse into one, so renaming onto an existing tag merges them.
+export function renameTag(tasks, from, to) {
+  const key = from.toLowerCase();
+  const now = new Date().toISOString();
+  return tasks.map((t) =>
+    (t.tags || []).some((n) => n.toLowerCase() === key)
+      ? { ...t, tags: normalizeTags(t.tags.map((n) => (n.toLowerCase() === key ? to : n))), updatedAt: now }
+      : t
+  );
+}
+
+export function removeTag(tasks, name) {
+  const key = name.toLowerCase();
+  const now = new Date().toISOString();
+  return tasks.map((t) =>
+    (t.tags || []).some((n) => n.toLowerCase() === key)
+      ? { ...t, tags: t.tags.filter((n) => n.toLowerCase() !== key), updatedAt: now }
+      : t
+  );
+}
+
+// Registry counterparts of renameTag/removeTag.
+export function renameTagDef(defs, from, to) {
+  const color = defs.find((d) => d.name.toLowerCase() === from.toLowerCase())?.color;
+  const rest = defs.filter((d) => d.name.toLowerCase() !== from.toLowerCase());
+  if (rest.some((d) => d.name.toLowerCase() === to.toLowerCase())) return rest;
+  return [...rest, { name: to, color: color || fallbackColor(to) }];
+}
+
+export function setTagDefColor(defs, name, color) {
+  const rest = defs.filter((d) => d.name.toLowerCase() !== name.toLowerCase());
+  return [...rest, { name, color }];
+}
+
+// Merge imported registry entries: same key replaces, new keys are appended.
+export function mergeByKey(prev, incoming, keyOf) {
+  const byKey = new Map(incoming.map((x) => [keyOf(x), x]));
+  const kept = prev.map((x) => byKey.get(keyOf(x)) || x);
+  return [...kept, ...incoming.filter((x) => !prev.some((p) => keyOf(p) === keyOf(x)))];
+}
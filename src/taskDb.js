@@ -0,0 +1,187 @@
+// IndexedDB task store: one record per task, keyed by id.
+//
+// Writes are resolved by updatedAt — a record is only replaced by one that
+// is at least as new — so two tabs saving the same task can't roll each
+// other back. Changes are announced to other tabs over a BroadcastChannel.
+
+import { SCHEMA_VERSION, isNewer, migrate, loadTasks as loadLegacyTasks, quarantine } from "./storage";
+
+const DB_NAME = "task_prioritizer";
+const DB_VERSION = 2;
+const TASKS = "tasks";
+const META = "meta";
+const FILES = "files"; // v2: attachment contents
+const CHANNEL_NAME = "task_prioritizer_sync";
+
+function req(r) {
+  return new Promise((resolve, reject) => {
+    r.onsuccess = () => resolve(r.result);
+    r.onerror = () => reject(r.error);
+  });
+}
+
+function done(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+let dbPromise = null;
+
+export function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") {
+        reject(new Error("IndexedDB is not available"));
+        return;
+      }
+      const open = indexedDB.open(DB_NAME, DB_VERSION);
+      open.onupgradeneeded = () => {
+        const db = open.result;
+        if (!db.objectStoreNames.contains(TASKS)) db.createObjectStore(TASKS, { keyPath: "id" });
+        if (!db.objectStoreNames.contains(META)) db.createObjectStore(META);
+        if (!db.objectStoreNames.contains(FILES)) db.createObjectStore(FILES, { keyPath: "id" });
+      };
+      open.onsuccess = () => {
+        // let a newer version of the app in another tab upgrade the database
+        open.result.onversionchange = () => open.result.close();
+        resolve(open.result);
+      };
+      open.onerror = () => reject(open.error);
+    });
+  }
+  return dbPromise;
+}
+
+// Load every task, importing the old localStorage blob on first run and
+// upgrading records through the storage migrations when the schema moved on.
+// Returns { tasks, error } like storage.loadTasks.
+export async function loadAll() {
+  const db = await openDb();
+  const tx = db.transaction([TASKS, META], "readonly");
+  const [records, version] = await Promise.all([
+    req(tx.objectStore(TASKS).getAll()),
+    req(tx.objectStore(META).get("schemaVersion")),
+  ]);
+
+  if (version === undefined) {
+    const legacy = loadLegacyTasks();
+    await replaceAll(legacy.tasks);
+    return legacy;
+  }
+
+  if (version === SCHEMA_VERSION) return { tasks: records, error: null };
+
+  try {
+    const tasks = migrate({ version, savedAt: null, tasks: records }).tasks;
+    await replaceAll(tasks);
+    return { tasks, error: null };
+  } catch (e) {
+    console.error("Failed to migrate tasks", e);
+    quarantine(JSON.stringify({ version, tasks: records }), e.message);
+    await replaceAll([]);
+    return { tasks: [], error: e.message };
+  }
+}
+
+async function replaceAll(tasks) {
+  const db = await openDb();
+  const tx = db.transaction([TASKS, META], "readwrite");
+  const store = tx.objectStore(TASKS);
+  store.clear();
+  tasks.forEach((t) => store.put(t));
+  tx.objectStore(META).put(SCHEMA_VERSION, "schemaVersion");
+  return done(tx);
+}
+
+// Put tasks that are newer than what is stored and delete the given ids.
+// Resolves with { written, rejected }: the tasks that were written, and the
+// stored records that were newer than their put, for the caller to load.
+export async function writeChanges(puts, deletes) {
+  const db = await openDb();
+  const tx = db.transaction(TASKS, "readwrite");
+  const store = tx.objectStore(TASKS);
+  const written = [];
+  const rejected = [];
+  puts.forEach((t) => {
+    const get = store.get(t.id);
+    get.onsuccess = () => {
+      if (!get.result || isNewer(t, get.result)) {
+        store.put(t);
+        written.push(t);
+      } else {
+        rejected.push(get.result);
+      }
+    };
+  });
+  deletes.forEach((id) => store.delete(id));
+  await done(tx);
+  return { written, rejected };
+}
+
+// Settings stored next to the tasks, e.g. saved views.
+export async function getMeta(key) {
+  const db = await openDb();
+  return req(db.transaction(META, "readonly").objectStore(META).get(key));
+}
+
+export async function putMeta(key, value) {
+  const db = await openDb();
+  const tx = db.transaction(META, "readwrite");
+  tx.objectStore(META).put(value, key);
+  return done(tx);
+}
+
+// Attachment files: { id, name, type, size, blob, createdAt }. Tasks only
+// carry the metadata, so task records stay small and sync cheaply; the
+// store is shared by every tab, so files need no broadcasting.
+export async function putFiles(files) {
+  const db = await openDb();
+  const tx = db.transaction(FILES, "readwrite");
+  files.forEach((f) => tx.objectStore(FILES).put(f));
+  return done(tx);
+}
+
+export async function getFile(id) {
+  const db = await openDb();
+  return req(db.transaction(FILES, "readonly").objectStore(FILES).get(id));
+}
+
+export async function getAllFiles() {
+  const db = await openDb();
+  return req(db.transaction(FILES, "readonly").objectStore(FILES).getAll());
+}
+
+export async function deleteFiles(ids) {
+  const db = await openDb();
+  const tx = db.transaction(FILES, "readwrite");
+  ids.forEach((id) => tx.objectStore(FILES).delete(id));
+  return done(tx);
+}
+
+let channel = null;
+
+// One channel per tab: a BroadcastChannel never receives its own messages,
+// so sharing it keeps a tab from hearing its own writes.
+function getChannel() {
+  if (typeof BroadcastChannel === "undefined") return null;
+  if (!channel) channel = new BroadcastChannel(CHANNEL_NAME);
+  return channel;
+}
+
+// Cross-tab messages: { type: "put", tasks } | { type: "delete", ids } |
+// { type: "meta", key, value }.
+// Returns an unsubscribe function.
+export function subscribe(onMessage) {
+  const ch = getChannel();
+  if (!ch) return () => {};
+  const handler = (e) => onMessage(e.data);
+  ch.addEventListener("message", handler);
+  return () => ch.removeEventListener("message", handler);
+}
+
+export function broadcast(msg) {
+  getChannel()?.postMessage(msg);
+}
@@ -0,0 +1,181 @@
+// Task model: shared constants and validation for anything that creates
+// tasks from outside input (imports, other tabs, storage migrations).
+
+import { normalizeRecurrence, nextDue } from "./recurrence";
+import { normalizeDueTime, normalizeReminders } from "./reminders";
+import { uncheckAll } from "./notesMarkdown";
+
+// Priority & status orders (for sorting)
+export const PRIORITY_ORDER = { Low: 0, Normal: 1, High: 2, Urgent: 3 };
+export const STATUS_ORDER = { "Todo": 0, "In Progress": 1, "Done": 2 };
+
+export function uid() {
+  return (Date.now().toString(36) + Math.random().toString(36).slice(2, 8)).toUpperCase();
+}
+
+// Coerce an untrusted object into a task, or return null if it has no id/title.
+// Timestamps are kept when present so imports don't look freshly edited.
+export function normalizeTask(d) {
+  if (!d || !d.id || !d.title) return null;
+  const createdAt = d.createdAt ? String(d.createdAt) : new Date().toISOString();
+  return {
+    id: String(d.id),
+    title: String(d.title),
+    notes: d.notes ? String(d.notes) : "",
+    priority: d.priority in PRIORITY_ORDER ? d.priority : "Normal",
+    status: d.status in STATUS_ORDER ? d.status : "Todo",
+    due: d.due ? String(d.due) : undefined,
+    dueTime: d.due ? normalizeDueTime(d.dueTime) : undefined,
+    reminders: normalizeReminders(d.reminders),
+    snoozedUntil: d.snoozedUntil && !isNaN(new Date(d.snoozedUntil)) ? String(d.snoozedUntil) : undefined,
+    subtasks: normalizeSubtasks(d.subtasks),
+    autoStatus: Boolean(d.autoStatus),
+    recurrence: normalizeRecurrence(d.recurrence),
+    seriesId: d.seriesId ? String(d.seriesId) : undefined,
+    estimate: Number(d.estimate) > 0 ? Number(d.estimate) : undefined,
+    timeEntries: normalizeTimeEntries(d.timeEntries),
+    attachments: normalizeAttachments(d.attachments),
+    activity: normalizeActivity(d.activity),
+    tags: normalizeTags(d.tags),
+    project: d.project ? String(d.project) : undefined,
+    blockedBy: Array.isArray(d.blockedBy) ? [...new Set(d.blockedBy.map(String))].filter((id) => id !== String(d.id)) : [],
+    order: Number.isFinite(Number(d.order)) && d.order !== "" && d.order !== null ? Number(d.order) : undefined,
+    createdAt,
+    updatedAt: d.updatedAt ? String(d.updatedAt) : createdAt,
+  };
+}
+
+// Timer entries ({ id, start, end, note }); end is null while running.
+function normalizeTimeEntries(list) {
+  if (!Array.isArray(list)) return [];
+  const valid = (v) => Boolean(v) && !isNaN(new Date(v));
+  return list
+    .filter((e) => e && valid(e.start) && (!e.end || (valid(e.end) && new Date(e.end) >= new Date(e.start))))
+    .map((e) => ({ id: e.id ? String(e.id) : uid(), start: String(e.start), end: e.end ? String(e.end) : null, note: e.note ? String(e.note) : "" }));
+}
+
+// Attachment metadata; the files themselves are in IndexedDB (attachments.js).
+function normalizeAttachments(list) {
+  if (!Array.isArray(list)) return [];
+  return list
+    .filter((a) => a && a.id && a.name)
+    .map((a) => ({ id: String(a.id), name: String(a.name), type: a.type ? String(a.type) : "application/octet-stream", size: Number(a.size) || 0 }));
+}
+
+function normalizeSubtasks(list) {
+  if (!Array.isArray(list)) return [];
+  return list
+    .filter((s) => s && s.title)
+    .map((s) => ({ id: s.id ? String(s.id) : uid(), title: String(s.title), done: Boolean(s.done) }));
+}
+
+// Tag names are trimmed, single-spaced and free of the characters the
+// CSV/Markdown formats use as separators. Empty names are dropped.
+export function normalizeTagName(name) {
+  return String(name ?? "").replace(/[,()]/g, " ").replace(/\s+/g, " ").trim().slice(0, 40);
+}
+
+// Unique tag names, compared case-insensitively; the first spelling wins.
+export function normalizeTags(list) {
+  if (!Array.isArray(list)) return [];
+  const seen = new Set();
+  return list.map(normalizeTagName).filter((name) => {
+    const key = name.toLowerCase();
+    if (!name || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+function normalizeActivity(list) {
+  if (!Array.isArray(list)) return [];
+  const str = (v) => (v === null || v === undefined ? null : String(v));
+  return list
+    .filter((a) => a && a.at && a.field)
+    .map((a) => ({ at: String(a.at), field: String(a.field), from: str(a.from), to: str(a.to) }));
+}
+
+// Checklist progress for a task: { done, total }.
+export function progress(t) {
+  const subs = t.subtasks || [];
+  return { done: subs.filter((s) => s.done).length, total: subs.length };
+}
+
+// With autoStatus on, derive the parent's status from its checklist:
+// all done -> Done, some done -> In Progress, none done -> back out of Done.
+export function rollUpStatus(t) {
+  if (!t.autoStatus) return t;
+  const { done, total } = progress(t);
+  if (total === 0) return t;
+  let status = t.status;
+  if (done === total) status = "Done";
+  else if (done > 0) status = "In Progress";
+  else if (status === "Done") status = "Todo";
+  return status === t.status ? t : { ...t, status };
+}
+
+// Completing a recurring task keeps the finished instance as a plain Done task
+// (its history) and returns a fresh occurrence with the next due date.
+// Both share a seriesId. Returns [next, completed].
+export function nextOccurrence(t) {
+  const now = new Date().toISOString();
+  const seriesId = t.seriesId || t.id;
+  const completed = { ...t, recurrence: null, seriesId, updatedAt: now };
+  const next = {
+    ...t,
+    id: uid(),
+    seriesId,
+    status: "Todo",
+    due: nextDue(t.recurrence, t.due),
+    subtasks: (t.subtasks || []).map((s) => ({ ...s, id: uid(), done: false })),
+    notes: uncheckAll(t.notes),
+    activity: [],
+    timeEntries: [],
+    snoozedUntil: undefined,
+    createdAt: now,
+    updatedAt: now,
+  };
+  return [next, completed];
+}
+
+// Use when a task changes: a task that just became Done stops its running
+// timer, and a recurring one expands into its next occurrence plus the
+// completed instance.
+export function expandRecurring(before, after) {
+  if (after.status !== "Done" || before.status === "Done") return [after];
+  const stopped = after.timeEntries?.some((e) => !e.end)
+    ? { ...after, timeEntries: after.timeEntries.map((e) => (e.end ? e : { ...e, end: new Date().toISOString() })) }
+    : after;
+  return stopped.recurrence ? nextOccurrence(stopped) : [stopped];
+}
+
+// Manual board order: a number between the neighbours a card is dropped
+// between, so only the moved task changes.
+export function orderBetween(before, after) {
+  const a = before?.order;
+  const b = after?.order;
+  if (a === undefined && b === undefined) return 0;
+  if (a === undefined) return b - 1;
+  if (b === undefined) return a + 1;
+  return (a + b) / 2;
+}
+
+// Where a card dropped at `index` of `column` (sorted, without the card)
+// goes: { order, others }. When some cards have no order or share one (e.g.
+// imported tasks), there is no gap to drop into, so the column is numbered
+// afresh and `others` maps the ids whose order changes to their new one.
+export function placeInColumn(column, index) {
+  const spaced = column.every((t, i) => t.order !== undefined && (i === 0 || t.order > column[i - 1].order));
+  if (spaced) return { order: orderBetween(column[index - 1], column[index]), others: {} };
+  const others = {};
+  column.forEach((t, i) => {
+    const order = i < index ? i : i + 1;
+    if (t.order !== order) others[t.id] = order;
+  });
+  return { order: index, others };
+}
+
+// Order for a new task so it lands at the top of its column.
+export function topOrder(tasks) {
+  return Math.min(0, ...tasks.map((t) => t.order ?? 0)) - 1;
+}
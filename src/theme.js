@@ -0,0 +1,116 @@
+// Appearance: light/dark/system mode, accent, font and background gradient.
+//
+// Components use the normal Tailwind classes; tailwind.config.js maps
+// `white`, the `slate` scale and `accent` to CSS variables, and the `dark`
+// class on <html> swaps the slate scale (see index.css). applyTheme sets the
+// per-theme variables. A theme has separate colors for each mode:
+//   { mode, font, light: { accent, bgFrom, bgTo }, dark: { accent, bgFrom, bgTo } }
+
+export const THEME_KEY = "task_prioritizer_theme_v1";
+export const MODES = ["light", "dark", "system"];
+
+export const FONTS = [
+  ['Inter, ui-sans-serif, system-ui, -apple-system, "Segoe UI", Roboto, "Helvetica Neue", Arial', "Inter / System Sans"],
+  ['"Segoe UI", Tahoma, Geneva, Verdana, sans-serif', "Segoe UI / Tahoma"],
+  ['Roboto, "Helvetica Neue", Arial, sans-serif', "Roboto / Helvetica"],
+  ["Georgia, serif", "Georgia"],
+  ['"Courier New", Courier, monospace', "Courier New"],
+];
+
+// default theme (used for reset and initial state)
+export const DEFAULT_THEME = {
+  mode: "system",
+  font: FONTS[0][0],
+  light: { accent: "#0f172a", bgFrom: "#f8fafc", bgTo: "#ffffff" },
+  dark: { accent: "#e2e8f0", bgFrom: "#020617", bgTo: "#0f172a" },
+};
+
+export const THEME_PRESETS = [
+  { id: "slate", name: "Slate", theme: DEFAULT_THEME },
+  {
+    id: "ocean", name: "Ocean",
+    theme: { ...DEFAULT_THEME, light: { accent: "#0369a1", bgFrom: "#e0f2fe", bgTo: "#ffffff" }, dark: { accent: "#38bdf8", bgFrom: "#082f49", bgTo: "#0f172a" } },
+  },
+  {
+    id: "forest", name: "Forest",
+    theme: { ...DEFAULT_THEME, light: { accent: "#15803d", bgFrom: "#ecfdf5", bgTo: "#ffffff" }, dark: { accent: "#4ade80", bgFrom: "#052e16", bgTo: "#0f172a" } },
+  },
+  {
+    id: "sunset", name: "Sunset",
+    theme: { ...DEFAULT_THEME, light: { accent: "#c2410c", bgFrom: "#fff7ed", bgTo: "#fdf2f8" }, dark: { accent: "#fb923c", bgFrom: "#431407", bgTo: "#1e1b4b" } },
+  },
+  {
+    id: "paper", name: "Paper",
+    theme: { mode: "light", font: "Georgia, serif", light: { accent: "#44403c", bgFrom: "#fafaf9", bgTo: "#f5f5f4" }, dark: DEFAULT_THEME.dark },
+  },
+];
+
+const HEX_RE = /^#[0-9a-f]{6}$/i;
+
+function normalizeColors(c, fallback) {
+  const pick = (k) => (typeof c?.[k] === "string" && HEX_RE.test(c[k]) ? c[k] : fallback[k]);
+  return { accent: pick("accent"), bgFrom: pick("bgFrom"), bgTo: pick("bgTo") };
+}
+
+// Coerce a stored or imported theme into a complete one. Themes saved before
+// dark mode existed ({ accent, font, bgFrom, bgTo }) become the light colors.
+export function normalizeTheme(t) {
+  if (!t || typeof t !== "object") return DEFAULT_THEME;
+  const legacy = !t.light && (t.accent || t.bgFrom);
+  return {
+    mode: MODES.includes(t.mode) ? t.mode : legacy ? "light" : DEFAULT_THEME.mode,
+    font: typeof t.font === "string" && t.font.trim() ? t.font : DEFAULT_THEME.font,
+    light: normalizeColors(legacy ? t : t.light, DEFAULT_THEME.light),
+    dark: normalizeColors(t.dark, DEFAULT_THEME.dark),
+  };
+}
+
+export function loadTheme() {
+  try {
+    const raw = localStorage.getItem(THEME_KEY);
+    return raw ? normalizeTheme(JSON.parse(raw)) : DEFAULT_THEME;
+  } catch (e) {
+    console.error("Failed to load theme", e);
+    return DEFAULT_THEME;
+  }
+}
+
+export function saveTheme(theme) {
+  try {
+    localStorage.setItem(THEME_KEY, JSON.stringify(theme));
+  } catch (e) {
+    console.error("Failed to save theme", e);
+  }
+}
+
+export function isDark(theme, prefersDark) {
+  return theme.mode === "dark" || (theme.mode === "system" && prefersDark);
+}
+
+// Readable text on top of the accent color.
+function contrastText(hex) {
+  const [r, g, b] = [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16));
+  return 0.299 * r + 0.587 * g + 0.114 * b > 160 ? "#0f172a" : "#ffffff";
+}
+
+export function applyTheme(theme, dark) {
+  const root = document.documentElement;
+  const colors = dark ? theme.dark : theme.light;
+  root.classList.toggle("dark", dark);
+  root.style.setProperty("--accent", colors.accent);
+  root.style.setProperty("--accent-fg", contrastText(colors.accent));
+  root.style.setProperty("--bg-from", colors.bgFrom);
+  root.style.setProperty("--bg-to", colors.bgTo);
+  root.style.setProperty("--font", theme.font);
+}
+
+// Shareable theme file: { type, version, name, theme }.
+export function themeToFile(name, theme) {
+  return JSON.stringify({ type: "task-prioritizer-theme", version: 1, name, theme }, null, 2);
+}
+
+export function parseThemeFile(text) {
+  const data = JSON.parse(text);
+  if (data?.type !== "task-prioritizer-theme" || !data.theme) throw new Error("Not a Task Prioritizer theme file");
+  return { name: typeof data.name === "string" && data.name.trim() ? data.name.trim() : "Imported theme", theme: normalizeTheme(data.theme) };
+}
@@ -0,0 +1,106 @@
+// Time tracking. Each task keeps `timeEntries: [{ id, start, end, note }]`
+// (ISO timestamps); a running timer is the one entry with end === null, and
+// only one can run across all tasks. Entries live on the task, so a running
+// timer survives reloads and syncs to other tabs like any other edit.
+
+import { uid } from "./taskModel";
+import { localYMD } from "./dates";
+
+export function entryMs(e, now = Date.now()) {
+  return (e.end ? new Date(e.end).getTime() : now) - new Date(e.start).getTime();
+}
+
+export function trackedMs(t, now = Date.now()) {
+  return (t.timeEntries || []).reduce((sum, e) => sum + entryMs(e, now), 0);
+}
+
+export function isRunning(t) {
+  return (t.timeEntries || []).some((e) => !e.end);
+}
+
+// { task, entry } for the running timer, or null.
+export function runningTimer(tasks) {
+  for (const t of tasks) {
+    const entry = (t.timeEntries || []).find((e) => !e.end);
+    if (entry) return { task: t, entry };
+  }
+  return null;
+}
+
+function closeRunning(t, at) {
+  return { ...t, timeEntries: t.timeEntries.map((e) => (e.end ? e : { ...e, end: at })), updatedAt: at };
+}
+
+// Stop whatever runs and start a timer on task `id`.
+export function startTimer(tasks, id) {
+  const now = new Date().toISOString();
+  return tasks.map((t) => {
+    const stopped = isRunning(t) ? closeRunning(t, now) : t;
+    if (t.id !== id) return stopped;
+    return { ...stopped, timeEntries: [...(stopped.timeEntries || []), { id: uid(), start: now, end: null, note: "" }], updatedAt: now };
+  });
+}
+
+export function stopTimer(tasks) {
+  const now = new Date().toISOString();
+  return tasks.map((t) => (isRunning(t) ? closeRunning(t, now) : t));
+}
+
+// "1h 5m", "12m", or with seconds for a live timer: "1:05:09".
+export function formatTracked(ms, withSeconds = false) {
+  const secs = Math.max(0, Math.floor(ms / 1000));
+  const h = Math.floor(secs / 3600);
+  const m = Math.floor((secs % 3600) / 60);
+  if (withSeconds) return `${h}:${String(m).padStart(2, "0")}:${String(secs % 60).padStart(2, "0")}`;
+  return h ? `${h}h ${m}m` : `${m}m`;
+}
+
+// Manual entry durations: "1h30m", "1h", "45m", "1:30", "1.5" (hours).
+// Returns minutes, or null if unreadable.
+export function parseDuration(text) {
+  const s = String(text).trim().toLowerCase();
+  let m = s.match(/^(?:(\d+(?:\.\d+)?)\s*h)?\s*(?:(\d+)\s*m(?:in)?)?$/);
+  if (m && (m[1] || m[2])) return Math.round(Number(m[1] || 0) * 60 + Number(m[2] || 0)) || null;
+  m = s.match(/^(\d+):([0-5]\d)$/);
+  if (m) return Number(m[1]) * 60 + Number(m[2]) || null;
+  if (/^\d+(\.\d+)?$/.test(s)) return Math.round(Number(s) * 60) || null;
+  return null;
+}
+
+// A manual entry on `date` (YYYY-MM-DD), starting at local noon.
+export function manualEntry(date, minutes, note) {
+  const [y, m, d] = date.split("-").map(Number);
+  const start = new Date(y, m - 1, d, 12);
+  return { id: uid(), start: start.toISOString(), end: new Date(start.getTime() + minutes * 60000).toISOString(), note: note || "" };
+}
+
+// Entries are bucketed by the local day they started, like the dashboard.
+function inRange(e, from, to) {
+  const day = localYMD(e.start);
+  return (!from || day >= from) && (!to || day <= to);
+}
+
+// Estimate vs actual for tasks with time tracked in range:
+// [{ task, estimateMs, actualMs }], biggest overrun first. Tasks without an
+// estimate have estimateMs 0 and sort among the overruns.
+export function estimateReport(tasks, from, to, now = Date.now()) {
+  return tasks
+    .map((t) => ({
+      task: t,
+      estimateMs: t.estimate ? t.estimate * 3600000 : 0,
+      actualMs: (t.timeEntries || []).filter((e) => inRange(e, from, to)).reduce((sum, e) => sum + entryMs(e, now), 0),
+    }))
+    .filter((r) => r.actualMs > 0)
+    .sort((a, b) => (b.actualMs - b.estimateMs) - (a.actualMs - a.estimateMs));
+}
+
+export const TIME_CSV_COLUMNS = ["taskId", "task", "start", "end", "minutes", "note"];
+
+// One row per finished entry, for toCSV(rows, TIME_CSV_COLUMNS).
+export function timeEntryRows(tasks, from, to) {
+  return tasks
+    .flatMap((t) => (t.timeEntries || [])
+      .filter((e) => e.end && inRange(e, from, to))
+      .map((e) => ({ taskId: t.id, task: t.title, start: e.start, end: e.end, minutes: Math.round(entryMs(e) / 60000), note: e.note })))
+    .sort((a, b) => a.start.localeCompare(b.start));
+}
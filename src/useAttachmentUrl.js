@@ -0,0 +1,27 @@
+import { useEffect, useState } from "react";
+import { getFile } from "./taskDb";
+
+// Object URL for a stored attachment: undefined while loading, null if the
+// file isn't in this browser (e.g. a task imported without its files).
+export function useAttachmentUrl(id) {
+  const [url, setUrl] = useState(undefined);
+
+  useEffect(() => {
+    let cancelled = false;
+    let made = null;
+    setUrl(undefined);
+    getFile(id)
+      .then((file) => {
+        if (cancelled) return;
+        made = file ? URL.createObjectURL(file.blob) : null;
+        setUrl(made);
+      })
+      .catch(() => { if (!cancelled) setUrl(null); });
+    return () => {
+      cancelled = true;
+      if (made) URL.revokeObjectURL(made);
+    };
+  }, [id]);
+
+  return url;
+}
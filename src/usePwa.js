@@ -0,0 +1,74 @@
+import { useEffect, useState } from "react";
+
+// Registers the service worker (production builds only) and exposes the two
+// PWA prompts: a waiting update to apply, and the browser's install prompt.
+export function usePwa() {
+  const [waiting, setWaiting] = useState(null);
+  const [installEvent, setInstallEvent] = useState(null);
+
+  useEffect(() => {
+    if (!import.meta.env.PROD || !("serviceWorker" in navigator)) return;
+    // the first install takes control without a reload; later updates reload every tab
+    const hadController = Boolean(navigator.serviceWorker.controller);
+    let reloading = false;
+    function onControllerChange() {
+      if (!hadController || reloading) return;
+      reloading = true;
+      window.location.reload();
+    }
+    let reg = null;
+    function checkForUpdate() {
+      if (document.visibilityState === "visible") reg?.update().catch(() => {});
+    }
+
+    navigator.serviceWorker.addEventListener("controllerchange", onControllerChange);
+    document.addEventListener("visibilitychange", checkForUpdate);
+    navigator.serviceWorker
+      .register(`${import.meta.env.BASE_URL}sw.js`)
+      .then((r) => {
+        reg = r;
+        if (r.waiting && hadController) setWaiting(r.waiting);
+        r.addEventListener("updatefound", () => {
+          const sw = r.installing;
+          sw?.addEventListener("statechange", () => {
+            if (sw.state === "installed" && navigator.serviceWorker.controller) setWaiting(sw);
+          });
+        });
+      })
+      .catch((e) => console.error("Service worker registration failed", e));
+
+    return () => {
+      navigator.serviceWorker.removeEventListener("controllerchange", onControllerChange);
+      document.removeEventListener("visibilitychange", checkForUpdate);
+    };
+  }, []);
+
+  useEffect(() => {
+    function onPrompt(e) {
+      e.preventDefault(); // show our own button instead of the browser's mini-infobar
+      setInstallEvent(e);
+    }
+    function onInstalled() {
+      setInstallEvent(null);
+    }
+    window.addEventListener("beforeinstallprompt", onPrompt);
+    window.addEventListener("appinstalled", onInstalled);
+    return () => {
+      window.removeEventListener("beforeinstallprompt", onPrompt);
+      window.removeEventListener("appinstalled", onInstalled);
+    };
+  }, []);
+
+  // the new worker takes over; controllerchange then reloads the page
+  function applyUpdate() {
+    waiting?.postMessage({ type: "SKIP_WAITING" });
+  }
+
+  function install() {
+    if (!installEvent) return;
+    installEvent.prompt();
+    installEvent.userChoice.finally(() => setInstallEvent(null));
+  }
+
+  return { updateReady: Boolean(waiting), applyUpdate, canInstall: Boolean(installEvent), install };
+}
@@ -0,0 +1,76 @@
+import { useEffect, useRef, useState } from "react";
+import { useSyncedState } from "./useSyncedState";
+import { pendingReminders, pruneFired, formatDue } from "./reminders";
+
+const CHECK_MS = 30000;
+
+function currentPermission() {
+  return typeof Notification === "undefined" ? "unsupported" : Notification.permission;
+}
+
+// Through the service worker when there is one: Android Chrome doesn't allow
+// `new Notification` in a page. The constructor is the fallback (dev builds,
+// browsers without service workers).
+function showNotification(title, options, onClick) {
+  function inPage() {
+    const n = new Notification(title, options);
+    n.onclick = () => {
+      window.focus();
+      onClick();
+      n.close();
+    };
+  }
+  const sw = typeof navigator !== "undefined" && navigator.serviceWorker;
+  if (!sw) return Promise.resolve().then(inPage);
+  return sw.getRegistration().then((reg) => (reg ? reg.showNotification(title, options) : inPage()));
+}
+
+// Checks reminders every CHECK_MS while the app is open and shows them as
+// browser notifications. Fired reminders are remembered in synced settings,
+// so a reload or a second tab doesn't repeat them (the notification tag also
+// collapses duplicates between tabs). Returns the clock it ticks on, for
+// anything that depends on "now".
+export function useReminders(tasks, ready, onOpen) {
+  const [fired, setFired, firedReady] = useSyncedState("firedReminders", {});
+  const [permission, setPermission] = useState(currentPermission);
+  const [now, setNow] = useState(() => Date.now());
+  const openRef = useRef(onOpen);
+  openRef.current = onOpen;
+
+  useEffect(() => {
+    const id = setInterval(() => setNow(Date.now()), CHECK_MS);
+    return () => clearInterval(id);
+  }, []);
+
+  // clicks on worker-shown notifications come back as messages
+  useEffect(() => {
+    const sw = navigator.serviceWorker;
+    if (!sw) return;
+    function onMessage(e) {
+      if (e.data?.type === "OPEN_TASK") openRef.current(e.data.taskId);
+    }
+    sw.addEventListener("message", onMessage);
+    return () => sw.removeEventListener("message", onMessage);
+  }, []);
+
+  useEffect(() => {
+    if (!ready || !firedReady || permission !== "granted") return;
+    const due = pendingReminders(tasks, fired, now);
+    if (due.length === 0) return;
+    due.forEach(({ task, key, label }) => {
+      showNotification(
+        task.title,
+        { body: `${label} · due ${formatDue(task)}`, tag: key, data: { taskId: task.id } },
+        () => openRef.current(task.id)
+      ).catch((e) => console.error("Failed to show reminder", e));
+    });
+    setFired((prev) => pruneFired({ ...prev, ...Object.fromEntries(due.map((d) => [d.key, now])) }, now));
+  }, [tasks, ready, fired, firedReady, now, permission]);
+
+  function requestPermission() {
+    if (permission === "unsupported") return;
+    Notification.requestPermission().then(setPermission);
+  }
+
+  return { now, permission, requestPermission };
+}
@@ -0,0 +1,41 @@
+import { useEffect, useRef, useState } from "react";
+import { getMeta, putMeta, subscribe, broadcast } from "./taskDb";
+import { loadSetting, saveSetting } from "./storage";
+
+// useState for small settings kept next to the tasks (IndexedDB meta store,
+// localStorage as a fallback) and mirrored to other open tabs.
+export function useSyncedState(key, initial) {
+  const [value, setValue] = useState(initial);
+  const [ready, setReady] = useState(false);
+  const fromRemote = useRef(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    getMeta(key)
+      .catch(() => loadSetting(key))
+      .then((stored) => {
+        if (cancelled) return;
+        if (stored !== undefined) setValue(stored);
+        setReady(true);
+      });
+    return () => { cancelled = true; };
+  }, [key]);
+
+  useEffect(() => {
+    if (!ready) return;
+    if (fromRemote.current) {
+      fromRemote.current = false;
+      return;
+    }
+    putMeta(key, value).catch(() => saveSetting(key, value));
+    broadcast({ type: "meta", key, value });
+  }, [key, value, ready]);
+
+  useEffect(() => subscribe((msg) => {
+    if (msg.type !== "meta" || msg.key !== key) return;
+    fromRemote.current = true;
+    setValue(msg.value);
+  }), [key]);
+
+  return [value, setValue, ready];
+}
@@ -0,0 +1,85 @@
+import { useEffect, useRef, useState } from "react";
+import { loadAll, writeChanges, subscribe, broadcast } from "./taskDb";
+import { isNewer, loadTasks, saveChanges } from "./storage";
+
+// Task state backed by IndexedDB (falling back to localStorage) and kept in
+// sync with other open tabs. Only tasks whose object identity changed since
+// the last save are written, so callers keep using plain setTasks updates.
+export function useTaskStore() {
+  const [tasks, setTasks] = useState([]);
+  const [ready, setReady] = useState(false);
+  const [error, setError] = useState(null);
+  const useLocal = useRef(false);
+  const persisted = useRef(new Map()); // id -> task as last saved or received
+  const latest = useRef(tasks);
+  latest.current = tasks;
+
+  // Take in tasks saved elsewhere; the newer updatedAt wins per task.
+  function receive(incomingTasks) {
+    const cur = latest.current;
+    const byId = new Map(cur.map((t) => [t.id, t]));
+    const accepted = incomingTasks.filter((t) => !byId.has(t.id) || isNewer(t, byId.get(t.id)));
+    if (accepted.length === 0) return;
+    const incoming = new Map(accepted.map((t) => [t.id, t]));
+    const fresh = accepted.filter((t) => !byId.has(t.id));
+    accepted.forEach((t) => persisted.current.set(t.id, t));
+    latest.current = [...fresh, ...cur.map((t) => incoming.get(t.id) || t)];
+    setTasks(latest.current);
+  }
+
+  // A put loses to a newer stored copy (another tab saved first): load that
+  // copy, so this tab doesn't keep showing its stale one.
+  function saved({ written, rejected }, deletes) {
+    if (written.length) broadcast({ type: "put", tasks: written });
+    if (deletes.length) broadcast({ type: "delete", ids: deletes });
+    if (rejected.length) receive(rejected);
+  }
+
+  useEffect(() => {
+    let cancelled = false;
+    loadAll()
+      .catch((e) => {
+        console.error("IndexedDB unavailable, using localStorage", e);
+        useLocal.current = true;
+        return loadTasks();
+      })
+      .then((res) => {
+        if (cancelled) return;
+        persisted.current = new Map(res.tasks.map((t) => [t.id, t]));
+        setTasks(res.tasks);
+        setError(res.error);
+        setReady(true);
+      });
+    return () => { cancelled = true; };
+  }, []);
+
+  useEffect(() => {
+    if (!ready) return;
+    const prev = persisted.current;
+    const puts = tasks.filter((t) => prev.get(t.id) !== t);
+    const ids = new Set(tasks.map((t) => t.id));
+    const deletes = [...prev.keys()].filter((id) => !ids.has(id));
+    if (puts.length === 0 && deletes.length === 0) return;
+    persisted.current = new Map(tasks.map((t) => [t.id, t]));
+
+    if (useLocal.current) {
+      saved(saveChanges(puts, deletes), deletes);
+      return;
+    }
+    writeChanges(puts, deletes)
+      .then((result) => saved(result, deletes))
+      .catch((e) => console.error("Failed to save tasks", e));
+  }, [tasks, ready]);
+
+  // Apply changes from other tabs.
+  useEffect(() => subscribe((msg) => {
+    if (msg.type === "put") {
+      receive(msg.tasks);
+    } else if (msg.type === "delete") {
+      msg.ids.forEach((id) => persisted.current.delete(id));
+      setTasks(latest.current.filter((t) => !msg.ids.includes(t.id)));
+    }
+  }), []);
+
+  return { tasks, setTasks, ready, storageError: error, setStorageError: setError };
+}
@@ -0,0 +1,118 @@
+import { useEffect, useRef, useState } from "react";
+
+const HISTORY_KEY = "task_prioritizer_history_v1";
+const HISTORY_LIMIT = 50;
+
+// Each entry records the tasks a mutation touched: { label, at, changes:
+// [{ id, before, after }] } where before/after is null for "didn't exist".
+function diffTasks(prev, next) {
+  const before = new Map(prev.map((t) => [t.id, t]));
+  const after = new Map(next.map((t) => [t.id, t]));
+  const changes = [];
+  after.forEach((t, id) => {
+    if (before.get(id) !== t) changes.push({ id, before: before.get(id) || null, after: t });
+  });
+  before.forEach((t, id) => {
+    if (!after.has(id)) changes.push({ id, before: t, after: null });
+  });
+  return changes;
+}
+
+// Put each task back to its recorded state. Restored tasks get a fresh
+// updatedAt so storage and other tabs accept them as the newest version.
+function applySide(tasks, changes, side) {
+  const now = new Date().toISOString();
+  let next = [...tasks];
+  changes.forEach((c) => {
+    const target = c[side];
+    const i = next.findIndex((t) => t.id === c.id);
+    if (!target) {
+      if (i !== -1) next.splice(i, 1);
+    } else if (i !== -1) {
+      next[i] = { ...target, updatedAt: now };
+    } else {
+      next = [{ ...target, updatedAt: now }, ...next];
+    }
+  });
+  return next;
+}
+
+function loadHistory() {
+  try {
+    const raw = sessionStorage.getItem(HISTORY_KEY);
+    const h = raw ? JSON.parse(raw) : null;
+    if (h && Array.isArray(h.past) && Array.isArray(h.future)) return h;
+  } catch (e) {
+    console.error("Failed to load undo history", e);
+  }
+  return { past: [], future: [] };
+}
+
+// Undo/redo for task mutations. Route local changes through
+// mutate(label, updater) instead of setTasks; changes arriving from other
+// tabs bypass it and aren't undoable here. History is per tab and kept in
+// sessionStorage, so it survives a reload.
+export function useUndoHistory(tasks, setTasks) {
+  const [history, setHistoryState] = useState(loadHistory);
+  // refs so several actions in one tick (e.g. fast repeated Ctrl+Z) see each other
+  const latest = useRef(tasks);
+  latest.current = tasks;
+  const historyRef = useRef(history);
+
+  function setHistory(h) {
+    historyRef.current = h;
+    setHistoryState(h);
+  }
+
+  function apply(next) {
+    latest.current = next;
+    setTasks(next);
+  }
+
+  useEffect(() => {
+    try {
+      sessionStorage.setItem(HISTORY_KEY, JSON.stringify(history));
+    } catch (e) {
+      console.error("Failed to save undo history", e);
+    }
+  }, [history]);
+
+  function mutate(label, updater) {
+    const prev = latest.current;
+    const next = updater(prev);
+    const changes = diffTasks(prev, next);
+    if (changes.length === 0) return;
+    apply(next);
+    const { past } = historyRef.current;
+    setHistory({
+      past: [...past, { label, at: new Date().toISOString(), changes }].slice(-HISTORY_LIMIT),
+      future: [],
+    });
+  }
+
+  function undo() {
+    const { past, future } = historyRef.current;
+    const entry = past[past.length - 1];
+    if (!entry) return null;
+    apply(applySide(latest.current, entry.changes, "before"));
+    setHistory({ past: past.slice(0, -1), future: [entry, ...future] });
+    return entry.label;
+  }
+
+  function redo() {
+    const { past, future } = historyRef.current;
+    const entry = future[0];
+    if (!entry) return null;
+    apply(applySide(latest.current, entry.changes, "after"));
+    setHistory({ past: [...past, entry], future: future.slice(1) });
+    return entry.label;
+  }
+
+  return {
+    mutate,
+    undo,
+    redo,
+    undoLabel: history.past[history.past.length - 1]?.label || null,
+    redoLabel: history.future[0]?.label || null,
+  };
+}
@@ -1,10 +1,38 @@
+const palette = require("tailwindcss/colors");
+
+// `white`, `slate` and `accent` read CSS variables so one set of classes
+// serves both light and dark mode (values in src/index.css).
+const rgbVar = (name) => `rgb(var(--c-${name}) / <alpha-value>)`;
+const SLATE_STEPS = [50, 100, 200, 300, 400, 500, 600, 700, 800, 900, 950];
+
+// Badge and banner colors go through variables too. Their values come from
+// Tailwind's palette, mirrored in dark mode (step n takes step 1000 - n) so
+// bg-red-50 is a deep tint and text-red-700 a light one.
+const TINTS = ["red", "orange", "amber", "blue", "emerald", "violet"];
+const triple = (hex) => hex.match(/\w\w/g).map((h) => parseInt(h, 16)).join(" ");
+const tintVars = (flip) => Object.fromEntries(TINTS.flatMap((c) =>
+  SLATE_STEPS.map((n) => [`--c-${c}-${n}`, triple(palette[c][flip ? 1000 - n : n])])));
+
 module.exports = {
   content: [
     "./index.html",
     "./src/**/*.{js,ts,jsx,tsx}",
   ],
+  darkMode: "class",
   theme: {
-    extend: {},
+    extend: {
+      colors: {
+        white: rgbVar("white"),
+        slate: Object.fromEntries(SLATE_STEPS.map((n) => [n, rgbVar(`slate-${n}`)])),
+        ...Object.fromEntries(TINTS.map((c) => [c, Object.fromEntries(SLATE_STEPS.map((n) => [n, rgbVar(`${c}-${n}`)]))])),
+        accent: { DEFAULT: "var(--accent)", fg: "var(--accent-fg)" },
+      },
+      borderColor: {
+        DEFAULT: rgbVar("slate-200"),
+      },
+    },
   },
-  plugins: [],
-}
\ No newline at end of file
+  plugins: [
+    ({ addBase }) => addBase({ ":root": tintVars(false), ".dark": tintVars(true) }),
+  ],
+}
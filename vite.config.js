@@ -1,7 +1,30 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { readFileSync, readdirSync } from 'node:fs'
+import { createHash } from 'node:crypto'
+
+// Emits dist/sw.js from src/sw.js with the list of files to precache:
+// everything in the bundle plus the files copied from public/.
+function serviceWorker() {
+  return {
+    name: 'service-worker',
+    apply: 'build',
+    enforce: 'post',
+    generateBundle(_, bundle) {
+      const publicFiles = readdirSync('public')
+      const files = [...Object.keys(bundle), ...publicFiles].filter((f) => f !== 'sw.js').sort()
+      // bundle names are content-hashed already; public files are hashed by content
+      const hash = createHash('sha256').update(files.join('\n'))
+      publicFiles.forEach((f) => hash.update(readFileSync(`public/${f}`)))
+      const source = readFileSync('src/sw.js', 'utf8')
+        .replace('const VERSION = __VERSION__', `const VERSION = ${JSON.stringify(hash.digest('hex').slice(0, 12))}`)
+        .replace('const PRECACHE = __PRECACHE__', `const PRECACHE = ${JSON.stringify(['./', ...files])}`)
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+    },
+  }
+}
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
   base: '/Task-Prioritizer-App/',   // 
 })